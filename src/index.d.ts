@@ -1,87 +1,451 @@
-import { ChartType, Element } from 'chart.js';
+import { Chart, ChartType, Element, InteractionModeFunction, LegendItem } from 'chart.js';
 
 export interface SankeyDataPoint {
   from: string;
   to: string;
   flow: number;
-  /** Solid color for this flow */
-  color?: string;
+  /** Solid color for this flow, or a CanvasPattern / CanvasGradient */
+  color?: string | CanvasPattern | CanvasGradient;
   /** Gradient start color (overrides color when colorMode is 'gradient') */
   colorFrom?: string;
   /** Gradient end color (overrides derived color when colorMode is 'gradient') */
   colorTo?: string;
   /** Color when this flow is hovered */
   hoverColor?: string;
+  borderColor?: string;
+  borderWidth?: number;
+  borderDash?: number[];
+  hoverBorderColor?: string;
+  hoverBorderWidth?: number;
+  hoverBorderDash?: number[];
+  /** Pattern laid over the fill, e.g. hatching for projected amounts */
+  pattern?: SankeyFlowPattern | null;
+  hoverPattern?: SankeyFlowPattern | null;
 }
 
+/**
+ * A hatching, cross-hatching or dot pattern drawn over a flow's fill (by name or
+ * with its own color, spacing and line width), or a CanvasPattern filled over it
+ */
+export type SankeyFlowPattern =
+  | 'hatch'
+  | 'crosshatch'
+  | 'dots'
+  | { type: 'hatch' | 'crosshatch' | 'dots'; color?: string; spacing?: number; lineWidth?: number }
+  | CanvasPattern;
+
 export interface SankeyNodeConfig {
   /** Pin this node to a specific column (level) index */
   column?: number;
+  /** Place the node's center at this fraction (0-1) of the node axis, e.g. a saved drag position */
+  position?: number;
+  /** Display label used instead of the node ID */
+  label?: string;
+  /** Node fill color (takes precedence over nodeColors and nodeColor) */
+  color?: string;
+  /** Node border color (takes precedence over nodeBorderColor) */
+  borderColor?: string;
+  /** Overrides the computed node value, which sets the node size */
+  value?: number;
+  description?: string;
+  /** Legend group, used with `legendItems: 'categories'` */
+  category?: string;
+  /** Clicking the node folds its downstream subtree into it, or unfolds it */
+  collapsible?: boolean;
+  /** Initial collapsed state; setting it also makes the node collapsible */
+  collapsed?: boolean;
+  /** Arbitrary user data, available as node.config */
+  [key: string]: unknown;
 }
 
-export interface SankeyLabelOptions {
-  display?: boolean;
+export interface SankeyAlignNode extends SankeyNode {
+  /** Column when aligned left: one after the furthest predecessor */
+  depth: number;
+  /** Longest path from this node down to a sink */
+  height: number;
+}
+
+export type SankeyNodeAlign =
+  | 'left'
+  | 'right'
+  | 'justify'
+  | 'center'
+  | ((node: SankeyAlignNode, columnCount: number) => number);
+
+/**
+ * Context passed to scriptable options. Node options get a 'node' context,
+ * flow options a 'flow' context and layout options the dataset context.
+ */
+export interface SankeyScriptableContext {
+  chart: Chart;
+  type: 'dataset' | 'node' | 'flow';
+  dataset: SankeyControllerDatasetOptions;
+  datasetIndex: number;
+  /** Node ID (node contexts only) */
+  node?: string;
+  /** Node record (node contexts) or data point (flow contexts) */
+  raw?: SankeyNode | SankeyDataPoint;
+  /** The flow with `from`, `to` and `flow` read through the `parsing` keys (flow contexts only) */
+  parsed?: SankeyDataPoint;
+  /** Node index or flow index */
+  dataIndex?: number;
+  index: number;
+  active: boolean;
+  mode: string;
+}
+
+/** A value, or a function of the scriptable context returning it */
+export type SankeyScriptable<T> = T | ((context: SankeyScriptableContext) => T);
+
+/**
+ * 'wrap' and 'truncate' fit labels into the room beside their node, 'move' spreads
+ * colliding labels of a column apart, 'hide' drops the smaller node's label of an overlapping pair
+ */
+export type SankeyLabelOverlap = 'wrap' | 'truncate' | 'move' | 'hide';
+
+/** A run of label text with its own font (extending the label font) and color */
+export interface SankeyLabelSegment {
+  text: string;
   font?: {
     size?: number;
     family?: string;
+    weight?: string | number;
+    style?: string;
   };
   color?: string;
-  padding?: number;
-  /** 'auto' places labels contextually based on column level and orientation */
-  position?: 'auto' | 'left' | 'right' | 'top';
-  /** Custom label formatter. Receives the node ID and node data. */
-  formatter?: ((nodeId: string, node: SankeyNode) => string) | null;
+}
+
+/**
+ * Node label content: a string (split at line breaks), or one entry per line,
+ * each a string, a segment or segments drawn side by side
+ */
+export type SankeyLabelContent = string | Array<string | SankeyLabelSegment | SankeyLabelSegment[]>;
+
+export interface SankeyLabelOptions {
+  display?: SankeyScriptable<boolean>;
+  font?: {
+    size?: SankeyScriptable<number>;
+    family?: SankeyScriptable<string>;
+    weight?: SankeyScriptable<string | number>;
+    style?: SankeyScriptable<string>;
+  };
+  color?: SankeyScriptable<string>;
+  padding?: SankeyScriptable<number>;
+  /**
+   * 'auto' places labels contextually based on column level and orientation;
+   * 'inside' centers them on the node, or falls back to 'auto' when they don't fit
+   */
+  position?: SankeyScriptable<'auto' | 'left' | 'right' | 'top' | 'inside'>;
+  /** Rotation in degrees, e.g. -90 for labels reading upward in vertical mode */
+  rotation?: SankeyScriptable<number>;
+  /** Append the node's formatted value (and its share with `percentOf`) to the label */
+  showValue?: SankeyScriptable<boolean>;
+  /** Make room outside the chart area for labels beside the outer columns */
+  reserveSpace?: boolean;
+  /** What to do with labels that do not fit or collide, applied in the order wrap, truncate, move, hide */
+  overlap?: SankeyLabelOverlap | SankeyLabelOverlap[] | null;
+  /** Custom label formatter. Receives the node ID, node data and formatted value and share; may return lines of segments. */
+  formatter?: ((
+    nodeId: string,
+    node: SankeyNode,
+    context: { formattedValue: string; share: number; formatPercent: (share: number) => string }
+  ) => SankeyLabelContent) | null;
+}
+
+/** A flow's value as a fraction of its source's outflow, its target's inflow and the total volume */
+export interface SankeyFlowShares {
+  ofSource: number;
+  ofTarget: number;
+  /** Share of the volume entering the diagram at its source nodes */
+  ofTotal: number;
+}
+
+/** `Intl.NumberFormat` options plus the locale, text around the number and the precision of shares */
+export interface SankeyValueFormat extends Intl.NumberFormatOptions {
+  locale?: string | string[];
+  prefix?: string;
+  suffix?: string;
+  /** Fraction digits of percentages (default 0) */
+  percentDigits?: number;
 }
 
 export interface SankeyFlowLabelOptions {
-  display?: boolean;
+  display?: SankeyScriptable<boolean>;
   font?: {
-    size?: number;
-    family?: string;
+    size?: SankeyScriptable<number>;
+    family?: SankeyScriptable<string>;
   };
-  color?: string;
-  /** Custom formatter for flow labels. Receives flow value and the full data point. */
-  formatter?: ((value: number, flow: SankeyDataPoint) => string) | null;
+  color?: SankeyScriptable<string>;
+  /** Custom formatter for flow labels. Receives flow value, the full data point and formatted value and shares. */
+  formatter?: ((
+    value: number,
+    flow: SankeyDataPoint,
+    context: { formattedValue: string; shares: SankeyFlowShares | null; formatPercent: (share: number) => string }
+  ) => string) | null;
+}
+
+export interface SankeyAccessibilityOptions {
+  /** Make the canvas focusable and enable keyboard navigation */
+  enabled?: boolean;
+  /** Outline color of the focused node or flow */
+  focusColor?: string;
+  /** Outline width of the focused node or flow, in pixels */
+  focusWidth?: number;
+  /** Read the focused node or flow out through an aria-live region */
+  announce?: boolean;
+  /** Describe the diagram with a visually hidden table of nodes and flows */
+  table?: boolean;
+}
+
+export interface SankeyNodeDragPosition {
+  /** Column the node was dropped in */
+  column: number;
+  /** Center of the node as a fraction (0-1) of the node axis */
+  position: number;
+  /** Top-left corner in pixels */
+  x: number;
+  y: number;
+}
+
+export interface SankeyNodeTooltipFlow {
+  /** ID of the node at the other end */
+  node: string;
+  /** Display label of the node at the other end */
+  label: string;
+  value: number;
+  formattedValue: string;
+  /** Share of the node's incoming (inflows) or outgoing (outflows) total */
+  share: number;
+  raw: SankeyDataPoint;
+  /** Only set for flowLabel: 'in' for inflows, 'out' for outflows */
+  direction?: 'in' | 'out';
+}
+
+export interface SankeyNodeTooltipContext {
+  chart: Chart;
+  dataset: SankeyControllerDatasetOptions;
+  datasetIndex: number;
+  nodeId: string;
+  node: SankeyNode;
+  label: string;
+  incoming: number;
+  outgoing: number;
+  /** incoming - outgoing */
+  net: number;
+  /** Node value as a share of the total volume */
+  share: number;
+  formatValue: (value: number) => string;
+  formatPercent: (share: number) => string;
+  /** Largest inflows, up to `topFlows` */
+  inflows: SankeyNodeTooltipFlow[];
+  /** Largest outflows, up to `topFlows` */
+  outflows: SankeyNodeTooltipFlow[];
+}
+
+type SankeyTooltipText = string | string[] | null | undefined;
+
+export interface SankeyImbalanceStubOptions {
+  /** Stub label, shown next to the stub and in its tooltip */
+  label?: SankeyScriptable<string>;
+  color?: SankeyScriptable<string>;
+}
+
+export interface SankeyImbalanceOptions {
+  /** Draw the difference between a node's inflow and outflow as a stub band */
+  display?: SankeyScriptable<boolean>;
+  /** Length of the stubs in pixels */
+  length?: SankeyScriptable<number>;
+  /** Write "label: value" at the open end of each stub */
+  showLabel?: SankeyScriptable<boolean>;
+  /** Inflow that does not leave the node */
+  loss?: SankeyImbalanceStubOptions;
+  /** Outflow that did not enter the node */
+  gain?: SankeyImbalanceStubOptions;
+}
+
+/**
+ * Traces a flow's outline (without beginPath / fill) into a canvas context; it
+ * also runs against a path recorder for hit-testing, so use only path methods
+ */
+export type SankeyLinkPath = (ctx: CanvasRenderingContext2D, flow: FlowElement) => void;
+
+export type SankeyLinkShape = 'bezier' | 'straight' | 'step' | SankeyLinkPath;
+
+export interface SankeyArrowOptions {
+  /** End flows in an arrowhead at their target */
+  display?: SankeyScriptable<boolean>;
+  /** Length of the arrowhead in pixels */
+  length?: SankeyScriptable<number>;
+}
+
+/** What onFlowClick receives for a click on an imbalance stub */
+export interface SankeyImbalanceDataPoint {
+  from: string | null;
+  to: string | null;
+  flow: number;
+  imbalance: 'loss' | 'gain';
+  label: string;
+}
+
+export interface SankeyNodeTooltipOptions {
+  /** Show a tooltip when hovering a node (off when the Chart.js tooltip is disabled) */
+  enabled?: boolean;
+  /** Number of largest inflows and outflows listed */
+  topFlows?: number;
+  callbacks?: {
+    title?: (context: SankeyNodeTooltipContext) => SankeyTooltipText;
+    /** Totals lines; defaults to incoming, outgoing and net */
+    label?: (context: SankeyNodeTooltipContext) => SankeyTooltipText;
+    /** Heading above the listed inflows / outflows */
+    flowsTitle?: (direction: 'in' | 'out', context: SankeyNodeTooltipContext) => SankeyTooltipText;
+    /** Line for one listed flow */
+    flowLabel?: (flow: SankeyNodeTooltipFlow, context: SankeyNodeTooltipContext) => SankeyTooltipText;
+    footer?: (context: SankeyNodeTooltipContext) => SankeyTooltipText;
+  };
+}
+
+export interface SankeyLegendItem extends LegendItem {
+  datasetIndex: number;
+  /** Set on per-node entries */
+  nodeId?: string;
+  /** Set on per-category entries */
+  category?: string;
+}
+
+/** Where `from`, `to` and `flow` are read from in each data record; dot paths reach nested values */
+export interface SankeyParsingOptions {
+  from?: string;
+  to?: string;
+  flow?: string;
 }
 
 export interface SankeyControllerDatasetOptions {
-  data: SankeyDataPoint[];
-  color?: string;
+  /** Flow records; with `parsing` keys they can use any field names */
+  data: SankeyDataPoint[] | Array<Record<string, unknown>>;
+  /** Field names of the flow records; false uses the records as they are */
+  parsing?: SankeyParsingOptions | boolean;
+  color?: SankeyScriptable<string | null>;
   /** 'from' uses source node color; 'to' uses destination node color; 'gradient' applies a horizontal gradient */
-  colorMode?: 'from' | 'to' | 'gradient';
+  colorMode?: SankeyScriptable<'from' | 'to' | 'gradient'>;
   /** Color applied to hovered flows (overridden by per-flow hoverColor) */
-  hoverColor?: string | null;
+  hoverColor?: SankeyScriptable<string | null>;
+  /** Flow outline (overridden by per-flow values, like the rest of the flow styles below) */
+  borderColor?: SankeyScriptable<string | null>;
+  borderWidth?: SankeyScriptable<number>;
+  borderDash?: SankeyScriptable<number[]>;
+  hoverBorderColor?: SankeyScriptable<string | null>;
+  hoverBorderWidth?: SankeyScriptable<number | null>;
+  hoverBorderDash?: SankeyScriptable<number[] | null>;
+  /** Pattern laid over the flow fill */
+  pattern?: SankeyScriptable<SankeyFlowPattern | null>;
+  /** Pattern of hovered flows, when different */
+  hoverPattern?: SankeyScriptable<SankeyFlowPattern | null>;
+  /** Shape of the flow bands: a built-in shape or a function tracing the outline */
+  linkShape?: SankeyLinkShape;
+  /** How far in from each end the bezier control points sit, as a fraction of the flow's length (0 to 1) */
+  curvature?: SankeyScriptable<number>;
+  arrow?: SankeyArrowOptions;
   /** Layout direction */
-  orientation?: 'horizontal' | 'vertical';
-  nodeWidth?: number;
-  nodePadding?: number;
-  /** String or callback (nodeId) => string */
-  nodeColor?: string | ((nodeId: string) => string);
+  orientation?: SankeyScriptable<'horizontal' | 'vertical'>;
+  /** How nodes are assigned to columns (like d3-sankey's nodeAlign) */
+  nodeAlign?: SankeyNodeAlign;
+  /**
+   * Order of flow bands along each node face. By default bands are sorted by the
+   * position of the node at the other end, which avoids crossings next to nodes.
+   */
+  flowSort?: ((
+    a: SankeyDataPoint,
+    b: SankeyDataPoint,
+    context: { node: string; direction: 'outgoing' | 'incoming' }
+  ) => number) | null;
+  nodeWidth?: SankeyScriptable<number>;
+  nodePadding?: SankeyScriptable<number>;
+  /** Relaxation passes that pull nodes toward their neighbors (0 disables) */
+  layoutIterations?: SankeyScriptable<number>;
+  /** String or callback (nodeId, context) => string */
+  nodeColor?: string | ((nodeId: string, context: SankeyScriptableContext) => string);
   /** Map of node IDs to colors, used by colorMode 'from'/'to'/'gradient' to derive flow colors */
   nodeColors?: Record<string, string> | null;
-  /** String or callback (nodeId) => string */
-  nodeBorderColor?: string | ((nodeId: string) => string);
-  nodeBorderWidth?: number;
-  nodeBorderRadius?: number;
-  /** Manual node positioning overrides */
+  /** String or callback (nodeId, context) => string */
+  nodeBorderColor?: string | ((nodeId: string, context: SankeyScriptableContext) => string);
+  nodeBorderWidth?: SankeyScriptable<number>;
+  nodeBorderRadius?: SankeyScriptable<number>;
+  /** Space between nested circular (back-edge) loops, in pixels */
+  circularLinkGap?: SankeyScriptable<number>;
+  /** Edge that circular links loop around ('top'/'bottom' are left/right in vertical mode) */
+  circularLinkSide?: SankeyScriptable<'auto' | 'top' | 'bottom'>;
+  /** Per-node records: column pins, display labels, colors and user data */
   nodes?: Record<string, SankeyNodeConfig>;
   labels?: SankeyLabelOptions;
   flowLabels?: SankeyFlowLabelOptions;
-  /** Callback fired when a flow band is clicked */
-  onFlowClick?: (flow: SankeyDataPoint, event: MouseEvent) => void;
-  /** Callback fired when a node is clicked */
-  onNodeClick?: (nodeId: string, node: SankeyNode, event: MouseEvent) => void;
+  /** Keyboard navigation and screen reader support */
+  accessibility?: SankeyAccessibilityOptions;
+  /** Tooltip shown when hovering or focusing a node */
+  nodeTooltip?: SankeyNodeTooltipOptions;
+  /** Loss and gain stubs for nodes whose inflow and outflow differ */
+  imbalance?: SankeyImbalanceOptions;
+  /** Callback fired when a flow band is clicked, or activated with Enter/Space */
+  onFlowClick?: (flow: (SankeyDataPoint & { records?: SankeyDataPoint[] }) | SankeyImbalanceDataPoint, event: MouseEvent | KeyboardEvent) => void;
+  /** Callback fired when a node is clicked, or activated with Enter/Space */
+  onNodeClick?: (nodeId: string, node: SankeyNode, event: MouseEvent | KeyboardEvent) => void;
+  /** Keep only flows for which this returns true */
+  filter?: ((flow: SankeyDataPoint, index: number) => boolean) | null;
+  /** Keep only nodes for which this returns true; flows of other nodes are left out */
+  nodeFilter?: ((nodeId: string, node: SankeyNode) => boolean) | null;
+  /** Keep only the nodes within `hops` flows of `node` (default 1 hop) */
+  focus?: SankeyScriptable<{ node: string; hops?: number } | null>;
+  /** Legend entries: one per node, or one per node `category` */
+  legendItems?: 'nodes' | 'categories';
+  /** Number format for values in tooltips and labels */
+  valueFormat?: SankeyValueFormat | null;
+  /** Share appended to formatted flow values, e.g. "1.2M (34%)" */
+  percentOf?: 'source' | 'target' | 'total' | null;
+  /** How data problems are reported: only to onDataError, also as console warnings, or by throwing */
+  validation?: 'silent' | 'warn' | 'strict';
+  /** Called with the data problems whenever they change */
+  onDataError?: (errors: SankeyDataError[]) => void;
+  /** Draw flows with the same source and target as one band (default true) */
+  mergeDuplicates?: SankeyScriptable<boolean>;
+  /** Fold nodes smaller than this into their column's "Other" node and re-route smaller flows there (0 disables) */
+  minFlow?: SankeyScriptable<number>;
+  /** Most nodes per column; the smallest of the rest are folded into an "Other" node (0 disables) */
+  maxNodesPerColumn?: SankeyScriptable<number>;
+  /** Label of the "Other" nodes */
+  otherLabel?: SankeyScriptable<string>;
+  /** Let users drag nodes along their column */
+  dragNodes?: boolean;
+  /** Let dragged nodes move to another column, snapping to the nearest one on drop */
+  dragAcrossColumns?: boolean;
+  /** Callback fired when a node drag ends, with values that can be saved into `nodes` */
+  onNodeDragEnd?: (nodeId: string, position: SankeyNodeDragPosition) => void;
+  /** Callback fired when a collapsible node is collapsed or expanded */
+  onNodeToggle?: (nodeId: string, collapsed: boolean) => void;
+}
+
+export interface SankeyChartOptions {
+  /**
+   * How several sankey datasets share the chart area: drawn on top of each other (the
+   * default), one above the other, side by side, or merged onto one shared node set
+   */
+  datasetLayout?: 'stacked' | 'side-by-side' | 'merged' | 'overlay';
+  /** Space between stacked or side-by-side datasets, in pixels */
+  datasetGap?: number;
 }
 
 declare module 'chart.js' {
   interface ChartTypeRegistry {
     sankey: {
-      chartOptions: {};
+      chartOptions: SankeyChartOptions;
       datasetOptions: SankeyControllerDatasetOptions;
       defaultDataPoint: SankeyDataPoint;
       scales: {};
     };
   }
+
+  interface InteractionModeMap {
+    /** The node or imbalance stub under the pointer, otherwise like 'point' (the sankey default) */
+    sankey: InteractionModeFunction;
+  }
 }
 
 export interface SankeyNode {
@@ -89,22 +453,251 @@ export interface SankeyNode {
   incoming: number;
   outgoing: number;
   value: number;
+  /** Display label, when the node has a `nodes` record */
+  label?: string;
+  description?: string;
+  /** The node's record from the `nodes` option */
+  config?: SankeyNodeConfig;
+  /** Collapsed state, for collapsible nodes */
+  collapsed?: boolean;
+  /** IDs of the nodes folded into this collapsed node or "Other" node */
+  children?: string[];
 }
 
 export function isValidFlow(dp: unknown): dp is SankeyDataPoint;
-export function buildNodes(data: SankeyDataPoint[]): Map<string, SankeyNode>;
+
+export type SankeyDataErrorReason =
+  | 'not-an-object'
+  | 'invalid-from'
+  | 'invalid-to'
+  | 'invalid-flow'
+  | 'negative-flow'
+  | 'zero-flow'
+  | 'self-loop'
+  | 'unbalanced-node';
+
+export interface SankeyDataError {
+  reason: SankeyDataErrorReason;
+  message: string;
+  /** Index of the data point (data point issues) */
+  index?: number;
+  /** The original data record (data point issues, when reported by the chart) */
+  raw?: unknown;
+  /** Node ID (unbalanced nodes) */
+  node?: string;
+  incoming?: number;
+  outgoing?: number;
+}
+
+/** Rejected data points, self-loops and nodes whose inflow and outflow differ */
+export function validateFlows(data: unknown[]): SankeyDataError[];
+export function buildNodes(
+  data: SankeyDataPoint[],
+  nodeConfig?: Record<string, SankeyNodeConfig> | null
+): Map<string, SankeyNode>;
 export function assignNodeLevels(
   data: SankeyDataPoint[],
   nodes: Map<string, SankeyNode>,
-  nodeConfig?: Record<string, SankeyNodeConfig>
+  nodeConfig?: Record<string, SankeyNodeConfig> | null,
+  nodeAlign?: SankeyNodeAlign
 ): Map<string, number>;
+export function findCircularLinks(
+  data: SankeyDataPoint[],
+  levels?: Map<string, number>
+): Set<SankeyDataPoint>;
+export function collapseFlows(
+  data: SankeyDataPoint[],
+  collapsedIds: Iterable<string>
+): { data: Array<SankeyDataPoint | null>; owners: Map<string, string> };
+export function findNeighborhood(
+  data: SankeyDataPoint[],
+  nodeId: string,
+  hops?: number
+): Set<string>;
+/** Flow data and node records produced by the data adapters, ready to spread into a dataset */
+export interface SankeyAdapterResult {
+  data: SankeyDataPoint[];
+  nodes: Record<string, SankeyNodeConfig>;
+}
+
+export interface SankeyD3Graph {
+  nodes: Array<{ id?: string | number; name?: string; color?: string; [key: string]: unknown }>;
+  links: Array<{
+    source: number | string | object;
+    target: number | string | object;
+    value: number;
+    color?: string;
+    [key: string]: unknown;
+  }>;
+}
+
+export interface SankeyCSVOptions {
+  /** Field separator; a tab when the first line contains one, otherwise a comma */
+  delimiter?: string;
+  /** Whether the first line holds column names (default true) */
+  header?: boolean;
+  /** Column names (with a header) or indices of the source, target and value columns */
+  columns?: { from?: string | number; to?: string | number; flow?: string | number };
+}
+
+export interface SankeyTreeOptions {
+  /** Key holding the node ID (default 'name', falling back to 'id') */
+  id?: string;
+  /** Key holding the child array (default 'children') */
+  children?: string;
+  /** Key holding the node's value (default 'value') */
+  value?: string;
+}
+
+/** From d3-sankey style `{nodes, links}` with index, ID or object link ends */
+export function fromD3Sankey(graph: SankeyD3Graph): SankeyAdapterResult;
+/** From an origin-destination matrix; `matrix[row][column]` flows from `rows[row]` to `columns[column]` */
+export function fromMatrix(
+  matrix: Array<Array<number | null | undefined>>,
+  rows: string[],
+  columns?: string[]
+): SankeyAdapterResult;
+/** From CSV or TSV text with source, target and value columns */
+export function fromCSV(text: string, options?: SankeyCSVOptions): SankeyAdapterResult;
+/** From a nested tree; each parent flows into its children */
+export function fromTree(root: object, options?: SankeyTreeOptions): SankeyAdapterResult;
+
+/** Sum flows with the same source and target into the first; merged copies list their `records` */
+export function mergeDuplicateFlows(
+  data: Array<SankeyDataPoint | null>
+): Array<(SankeyDataPoint & { records?: SankeyDataPoint[] }) | null>;
+/** Roll small flows and nodes into one "Other" node (`__other_<column>`) per column */
+export function groupSmallFlows(
+  data: Array<SankeyDataPoint | null>,
+  levels: Map<string, number>,
+  options?: { minFlow?: number; maxNodesPerColumn?: number; expanded?: Iterable<string> }
+): { data: Array<SankeyDataPoint | null>; others: Map<string, { level: number; members: string[] }> };
+/** Shorten text with an ellipsis until `measure(text)` fits `maxWidth` */
+export function truncateText(text: string, maxWidth: number, measure: (text: string) => number): string;
+/** Break text at whitespace into lines no wider than `maxWidth` */
+export function wrapText(text: string, maxWidth: number, measure: (text: string) => number): string[];
 export function groupByLevel(levels: Map<string, number>): Map<number, string[]>;
 export function reorderNodes(nodesByLevel: Map<number, string[]>, data: SankeyDataPoint[]): void;
 
+export interface SankeyRelaxNode {
+  id: string;
+  /** Position along the node axis */
+  pos: number;
+  /** Extent along the node axis */
+  size: number;
+}
+
+export function relaxNodes(
+  columns: SankeyRelaxNode[][],
+  data: SankeyDataPoint[],
+  options: { iterations: number; padding: number; start: number; end: number }
+): void;
+
+export interface SankeyLayoutNode {
+  id: string;
+  label: string;
+  /** Column index */
+  level: number;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  color?: string;
+}
+
+export interface SankeyLayoutFlow {
+  /** Index of the flow in the dataset's data */
+  index: number;
+  value: number;
+  from: string;
+  to: string;
+  x: number;
+  y: number;
+  x2: number;
+  y2: number;
+  height: number;
+  height2?: number;
+  color?: string;
+  colorMode?: 'gradient' | 'from' | 'to';
+  colorFrom?: string;
+  colorTo?: string;
+  orientation: 'horizontal' | 'vertical';
+  circular?: boolean;
+  loopPos?: number;
+  legOffset?: number;
+  linkShape?: SankeyLinkShape;
+  curvature?: number;
+  /** Length of the arrowhead; 0 for none */
+  arrowLength?: number;
+  borderColor?: string | null;
+  borderWidth?: number;
+  borderDash?: number[];
+  pattern?: SankeyFlowPattern | null;
+}
+
+export interface SankeyLayout {
+  width: number;
+  height: number;
+  orientation?: 'horizontal' | 'vertical';
+  nodes: SankeyLayoutNode[];
+  flows: SankeyLayoutFlow[];
+}
+
+export interface SankeySVGOptions {
+  /** Fill behind the diagram; transparent when omitted */
+  background?: string;
+  /** Label font when exporting a layout */
+  font?: { size?: number; family?: string };
+  /** Label color when exporting a layout */
+  labelColor?: string;
+  /** Start of the gradient and clip path IDs; `sankey-<n>`, unique per export, by default */
+  idPrefix?: string;
+}
+
+/** Standalone SVG markup for a sankey chart, or for a layout from getLayout() */
+export function toSVG(source: Chart | SankeyLayout, options?: SankeySVGOptions): string;
+
 export class SankeyController {
   static id: 'sankey';
   static defaults: any;
   static overrides: any;
+
+  /** Node record from the last layout, including its metadata */
+  getNode(nodeId: string): SankeyNode | undefined;
+  /** Display label for a node: its record's `label`, or its ID */
+  getNodeLabel(nodeId: string): string;
+  /** Scriptable context for a node */
+  getNodeContext(nodeId: string, active?: boolean): SankeyScriptableContext;
+  /** Scriptable context for a flow */
+  getFlowContext(index: number, active?: boolean): SankeyScriptableContext;
+  /** Whether a collapsible node currently hides its downstream subtree */
+  isNodeCollapsed(nodeId: string): boolean;
+  /** Collapse or expand a node (toggles when `collapsed` is omitted); returns whether it changed */
+  toggleNode(nodeId: string, collapsed?: boolean): boolean;
+  collapseNode(nodeId: string): boolean;
+  expandNode(nodeId: string): boolean;
+  /** Show or hide a node and its flows; the layout is recomputed without it */
+  setNodeVisibility(nodeId: string, visible: boolean): void;
+  /** False for hidden nodes and nodes left out by `filter`, `nodeFilter` or `focus` */
+  isNodeVisible(nodeId: string): boolean;
+  /** Keep only the neighborhood of a node; null shows everything again. Overrides `focus` */
+  focusNode(nodeId: string | null, hops?: number): void;
+  /** Legend entries for this dataset, as listed by the sankey legend's generateLabels */
+  getLegendItems(): SankeyLegendItem[];
+  /** Totals and largest flows of a node, as passed to the nodeTooltip callbacks */
+  getNodeTooltipContext(nodeId: string): SankeyNodeTooltipContext | null;
+  /** Forget positions dropped by dragging and return to the configured layout */
+  resetNodePositions(): void;
+  /** Format a value with the `valueFormat` option */
+  formatValue(value: number): string;
+  /** Format a share (0.34) as a percentage in the `valueFormat` locale */
+  formatPercent(share: number): string;
+  /** Shares of a flow from the last layout; null for flows that are not drawn */
+  getFlowShares(index: number): SankeyFlowShares | null;
+  /** A node's value as a share of the total volume */
+  getNodeShare(nodeId: string): number;
+  /** Plain snapshot of the drawn nodes and flows, suitable for toSVG() */
+  getLayout(): SankeyLayout;
 }
 
 export class FlowElement extends Element {
@@ -125,7 +718,28 @@ export class FlowElement extends Element {
   to: string;
   hoverColor: string | null;
   orientation: 'horizontal' | 'vertical';
+  /** True for back-edges routed as a loop around the diagram */
+  circular: boolean;
+  /** Node-axis coordinate of the loop's return leg (circular flows only) */
+  loopPos?: number;
+  /** Distance the loop legs extend past the node faces (circular flows only) */
+  legOffset?: number;
+  linkShape?: SankeyLinkShape;
+  curvature?: number;
+  /** Length of the arrowhead at the target end; 0 for none */
+  arrowLength?: number;
+  borderColor?: string | null;
+  borderWidth?: number;
+  borderDash?: number[];
+  hoverBorderColor?: string | null;
+  hoverBorderWidth?: number | null;
+  hoverBorderDash?: number[] | null;
+  /** Normalized pattern record, or a CanvasPattern */
+  pattern?: { type: 'hatch' | 'crosshatch' | 'dots'; color: string; spacing: number; lineWidth: number } | CanvasPattern | null;
+  hoverPattern?: { type: 'hatch' | 'crosshatch' | 'dots'; color: string; spacing: number; lineWidth: number } | CanvasPattern | null;
   active: boolean;
+  /** True while the flow has keyboard focus */
+  focused: boolean;
 
   draw(ctx: CanvasRenderingContext2D): void;
   inRange(mouseX: number, mouseY: number): boolean;
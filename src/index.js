@@ -1,4 +1,5 @@
-import { Chart, DatasetController, Element } from 'chart.js';
+import { Chart, DatasetController, Element, Interaction, Tooltip, layouts } from 'chart.js';
+import { getRelativePosition } from 'chart.js/helpers';
 
 const defaultColors = [
   'rgba(54, 162, 235, 0.5)',
@@ -14,6 +15,7 @@ const defaultColors = [
  * Supports rgb(...), rgba(...), and 6-digit hex inputs.
  */
 function adjustAlpha(color, alpha) {
+  if (typeof color !== 'string') return color;
   const rgb = color.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
   if (rgb) return `rgba(${rgb[1]}, ${rgb[2]}, ${rgb[3]}, ${alpha})`;
   const hex = color.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})/i);
@@ -21,6 +23,13 @@ function adjustAlpha(color, alpha) {
   return color;
 }
 
+/**
+ * Read a possibly nested value from an object by a dot-separated key path.
+ */
+function resolveKey(obj, key) {
+  return String(key).split('.').reduce((value, part) => (value == null ? undefined : value[part]), obj);
+}
+
 /**
  * Draw a rounded rectangle path (does not fill or stroke).
  */
@@ -51,10 +60,63 @@ export function isValidFlow(dp) {
     && typeof dp.flow === 'number' && dp.flow > 0 && isFinite(dp.flow);
 }
 
+/**
+ * Lists the problems in flow data: data points rejected by isValidFlow(),
+ * self-loops, and nodes whose incoming and outgoing totals differ (nodes
+ * that only send or only receive are not checked).
+ * @param {Array} data - Flow data as given
+ * @returns {Array<Object>} Issues: `{index, reason, message}` for data points
+ *   and `{node, reason, message, incoming, outgoing}` for unbalanced nodes.
+ *   Reasons are 'not-an-object', 'invalid-from', 'invalid-to', 'invalid-flow',
+ *   'negative-flow', 'zero-flow', 'self-loop' and 'unbalanced-node'.
+ */
+export function validateFlows(data) {
+  const issues = [];
+  const isId = id => typeof id === 'string' && id.length > 0;
+  const describe = value => (typeof value === 'string' ? `"${value}"` : String(value));
+  (data || []).forEach((dp, index) => {
+    const report = (reason, message) => issues.push({ index, reason, message: `data[${index}]: ${message}` });
+    if (dp == null || typeof dp !== 'object') {
+      report('not-an-object', `expected a flow object, got ${describe(dp)}`);
+      return;
+    }
+    if (!isId(dp.from)) report('invalid-from', `from must be a non-empty string, got ${describe(dp.from)}`);
+    if (!isId(dp.to)) report('invalid-to', `to must be a non-empty string, got ${describe(dp.to)}`);
+    if (typeof dp.flow !== 'number' || !isFinite(dp.flow)) {
+      report('invalid-flow', `flow must be a finite number, got ${describe(dp.flow)}`);
+    } else if (dp.flow < 0) {
+      report('negative-flow', `flow is negative (${dp.flow})`);
+    } else if (dp.flow === 0) {
+      report('zero-flow', 'flow is zero');
+    }
+    if (isValidFlow(dp) && dp.from === dp.to) {
+      report('self-loop', `flows from "${dp.from}" to itself`);
+    }
+  });
+
+  for (const node of buildNodes((data || []).filter(isValidFlow)).values()) {
+    const { incoming, outgoing } = node;
+    if (incoming > 0 && outgoing > 0 && Math.abs(incoming - outgoing) > 1e-9 * Math.max(incoming, outgoing)) {
+      issues.push({
+        node: node.id,
+        reason: 'unbalanced-node',
+        message: `node "${node.id}" receives ${incoming} but sends ${outgoing}`,
+        incoming,
+        outgoing
+      });
+    }
+  }
+  return issues;
+}
+
 /**
  * Collects unique nodes from flow data with incoming/outgoing totals.
+ * When a node config record is given, its display `label`, `description`
+ * and `value` override are applied and the record is kept as `node.config`.
+ * @param {Array} data - Valid flow data
+ * @param {Object} [nodeConfig] - Optional map of nodeId → node record
  */
-export function buildNodes(data) {
+export function buildNodes(data, nodeConfig) {
   const nodes = new Map();
   for (const flow of data) {
     if (!nodes.has(flow.from)) {
@@ -68,85 +130,400 @@ export function buildNodes(data) {
   }
   for (const node of nodes.values()) {
     node.value = Math.max(node.incoming, node.outgoing);
+    const cfg = nodeConfig && nodeConfig[node.id];
+    if (cfg) {
+      node.label = cfg.label ?? node.id;
+      if (cfg.description != null) node.description = cfg.description;
+      if (typeof cfg.value === 'number' && isFinite(cfg.value) && cfg.value >= 0) {
+        node.value = cfg.value;
+      }
+      node.config = cfg;
+    }
   }
   return nodes;
 }
 
 /**
- * Assigns hierarchical levels to nodes using BFS from root nodes.
- * Handles cycles by placing unvisited nodes based on their incoming edges.
- * @param {Array} data - Valid flow data
- * @param {Map} nodes - Node map from buildNodes()
- * @param {Object} [nodeConfig] - Optional map of nodeId → { column } overrides
+ * Folds the downstream subtree of each collapsed node into that node.
+ * A node belongs to the subtree when all its incoming flows come from the
+ * collapsed node or from other subtree members; shared nodes stay visible.
+ * Flows inside a subtree are dropped, flows leaving it are re-routed to start
+ * at the collapsed node, so buildNodes() re-aggregates the node values.
+ * Nested collapsed nodes fold into the outermost one.
+ * @param {Array} data - Flow data (entries may be invalid)
+ * @param {Iterable<string>} collapsedIds - IDs of collapsed nodes
+ * @returns {{data: Array, owners: Map<string, string>}} Per-index flows
+ *   (a re-routed copy, the original data point, or null when folded away)
+ *   and the collapsed node each folded node belongs to
  */
-export function assignNodeLevels(data, nodes, nodeConfig) {
-  const levels = new Map();
-  const visited = new Set();
+export function collapseFlows(data, collapsedIds) {
+  const collapsed = new Set(collapsedIds);
+  const owners = new Map();
+  if (collapsed.size === 0) return { data: data.slice(), owners };
 
-  // Pre-pin nodes and seed BFS with their children
-  const queue = [];
-  if (nodeConfig) {
-    for (const [id, cfg] of Object.entries(nodeConfig)) {
-      if (cfg && cfg.column != null && nodes.has(id)) {
-        levels.set(id, cfg.column);
-        visited.add(id);
-        for (const flow of data) {
-          if (flow.from === id) {
-            queue.push({ id: flow.to, level: cfg.column + 1 });
-          }
+  const valid = data.filter(isValidFlow);
+  const outgoing = new Map();
+  const incoming = new Map();
+  for (const flow of valid) {
+    if (!outgoing.has(flow.from)) outgoing.set(flow.from, []);
+    outgoing.get(flow.from).push(flow.to);
+    if (!incoming.has(flow.to)) incoming.set(flow.to, []);
+    incoming.get(flow.to).push(flow.from);
+  }
+
+  const subtrees = new Map();
+  for (const root of collapsed) {
+    // Everything reachable from the root...
+    const members = new Set();
+    const stack = [...(outgoing.get(root) || [])];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === root || members.has(id)) continue;
+      members.add(id);
+      stack.push(...(outgoing.get(id) || []));
+    }
+    // ...minus nodes fed from outside the subtree, until nothing changes
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const id of members) {
+        const fedFromOutside = (incoming.get(id) || []).some(src => src !== root && !members.has(src));
+        if (fedFromOutside) {
+          members.delete(id);
+          changed = true;
         }
       }
     }
+    subtrees.set(root, members);
   }
 
-  // Find root nodes (no incoming edges, not already pinned)
-  const hasIncoming = new Set(data.map(f => f.to));
-  const roots = [];
-  for (const id of nodes.keys()) {
-    if (!visited.has(id) && !hasIncoming.has(id)) roots.push(id);
+  for (const [root, members] of subtrees) {
+    for (const id of members) owners.set(id, root);
+  }
+  // Collapsed nodes inside another collapsed subtree fold into the outer one
+  const outermost = (id) => {
+    const seen = new Set();
+    while (owners.has(id) && !seen.has(id)) {
+      seen.add(id);
+      id = owners.get(id);
+    }
+    return id;
+  };
+  for (const id of owners.keys()) owners.set(id, outermost(id));
+  for (const [id, owner] of owners) {
+    if (id === owner) owners.delete(id);
+  }
+
+  const result = data.map(dp => {
+    if (!isValidFlow(dp)) return dp;
+    const from = owners.get(dp.from) ?? dp.from;
+    const to = owners.get(dp.to) ?? dp.to;
+    if (from === to && (from !== dp.from || to !== dp.to)) return null;
+    if (from === dp.from && to === dp.to) return dp;
+    return { ...dp, from, to };
+  });
+  return { data: result, owners };
+}
+
+/**
+ * Nodes within `hops` flows of a node, following flows in either direction.
+ * @param {Array} data - Valid flow data
+ * @param {string} nodeId - Node at the center
+ * @param {number} [hops=1] - Maximum number of flows to follow
+ * @returns {Set<string>} The node and its neighborhood
+ */
+export function findNeighborhood(data, nodeId, hops = 1) {
+  const neighbors = new Map();
+  const link = (a, b) => {
+    if (!neighbors.has(a)) neighbors.set(a, []);
+    neighbors.get(a).push(b);
+  };
+  for (const flow of data) {
+    link(flow.from, flow.to);
+    link(flow.to, flow.from);
   }
 
-  // If no roots and no queued items, pick the first unvisited node
-  if (roots.length === 0 && queue.length === 0) {
-    for (const id of nodes.keys()) {
-      if (!visited.has(id)) {
-        roots.push(id);
-        break;
+  const result = new Set([nodeId]);
+  let frontier = [nodeId];
+  for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const neighbor of neighbors.get(id) || []) {
+        if (!result.has(neighbor)) {
+          result.add(neighbor);
+          next.push(neighbor);
+        }
       }
     }
+    frontier = next;
   }
+  return result;
+}
 
-  // Add roots to BFS queue
-  for (const id of roots) {
-    queue.push({ id, level: 0 });
+/**
+ * Sums flows that share the same source and target into the first of them.
+ * The merged flow is a copy whose `records` lists the merged data points; the
+ * other entries become null, so the result stays index-aligned with `data`.
+ * @param {Array} data - Flow data (entries may be invalid or null)
+ * @returns {Array} Per-index flows
+ */
+export function mergeDuplicateFlows(data) {
+  const groups = new Map();
+  data.forEach((dp, i) => {
+    if (!isValidFlow(dp)) return;
+    const key = `${dp.from}\u0000${dp.to}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  const result = data.slice();
+  for (const indices of groups.values()) {
+    if (indices.length < 2) continue;
+    const records = indices.map(i => data[i]);
+    const flow = records.reduce((sum, dp) => sum + dp.flow, 0);
+    result[indices[0]] = { ...records[0], flow, records };
+    for (const i of indices.slice(1)) result[i] = null;
   }
+  return result;
+}
 
-  // BFS with index pointer for O(1) dequeue
-  let head = 0;
-  while (head < queue.length) {
-    const { id, level } = queue[head++];
-    if (visited.has(id)) continue;
-    visited.add(id);
-    levels.set(id, level);
+const otherNodePrefix = '__other_';
+
+function isOtherNode(nodeId) {
+  return typeof nodeId === 'string' && nodeId.startsWith(otherNodePrefix);
+}
+
+/**
+ * Rolls small flows and nodes into one synthetic "Other" node per column,
+ * with the ID `__other_<column>`. Nodes smaller than `minFlow` are folded into
+ * "Other" together with their flows, and so are the nodes beyond the largest
+ * `maxNodesPerColumn - 1` in columns with more than `maxNodesPerColumn` nodes.
+ * Remaining flows below `minFlow` between kept nodes are re-routed to the
+ * "Other" node of their target's column. Flows that would start and end at the same "Other" node
+ * are dropped.
+ * @param {Array} data - Flow data (entries may be invalid or null)
+ * @param {Map<string, number>} levels - Node levels from assignNodeLevels()
+ * @param {Object} [options]
+ * @param {number} [options.minFlow=0] - Smallest flow kept as it is (0 disables)
+ * @param {number} [options.maxNodesPerColumn=0] - Most nodes per column (0 disables)
+ * @param {Iterable<string>} [options.expanded] - "Other" node IDs whose columns are left as they are
+ * @returns {{data: Array, others: Map<string, {level: number, members: string[]}>}}
+ *   Per-index flows (the data point, a re-routed copy, or null) and the nodes
+ *   each "Other" node stands for
+ */
+export function groupSmallFlows(data, levels, { minFlow = 0, maxNodesPerColumn = 0, expanded = [] } = {}) {
+  const open = new Set(expanded);
+  const otherId = level => `${otherNodePrefix}${level}`;
+  const isOpen = level => open.has(otherId(level));
+  const nodes = buildNodes(data.filter(isValidFlow));
+
+  const folded = new Map();
+  for (const [level, ids] of groupByLevel(levels)) {
+    if (isOpen(level)) continue;
+    const present = ids.filter(id => nodes.has(id))
+      .sort((a, b) => nodes.get(b).value - nodes.get(a).value);
+    let kept = present.filter(id => !(nodes.get(id).value < minFlow));
+    if (maxNodesPerColumn > 0 && present.length > maxNodesPerColumn) {
+      kept = kept.slice(0, maxNodesPerColumn - 1);
+    }
+    for (const id of present) {
+      if (!kept.includes(id)) folded.set(id, level);
+    }
+  }
 
+  const members = new Map();
+  const into = (id, level) => {
+    const other = otherId(level);
+    if (!members.has(other)) members.set(other, new Set());
+    members.get(other).add(id);
+    return other;
+  };
+  const result = data.map(dp => {
+    if (!isValidFlow(dp)) return dp;
+    let { from, to } = dp;
+    if (folded.has(from)) from = into(from, folded.get(from));
+    if (folded.has(to)) {
+      to = into(to, folded.get(to));
+    } else if (from === dp.from && dp.flow < minFlow && levels.has(to) && !isOpen(levels.get(to))) {
+      to = into(to, levels.get(to));
+    }
+    if (from === dp.from && to === dp.to) return dp;
+    return from === to ? null : { ...dp, from, to };
+  });
+
+  const others = new Map();
+  for (const [id, set] of members) {
+    others.set(id, { level: Number(id.slice(otherNodePrefix.length)), members: [...set] });
+  }
+  return { data: result, others };
+}
+
+/**
+ * Finds back-edges: flows that close a cycle, found by depth-first search
+ * from the root nodes. Self-loops are always back-edges. When `levels` is
+ * given, flows that do not point to a later level (e.g. because of pinned
+ * columns) are included too. These are drawn as loops around the diagram.
+ * @param {Array} data - Valid flow data
+ * @param {Map} [levels] - Node levels from assignNodeLevels()
+ * @returns {Set} The circular data points
+ */
+export function findCircularLinks(data, levels) {
+  const outgoing = new Map();
+  const hasIncoming = new Set();
+  const ids = new Set();
+  for (const flow of data) {
+    if (!outgoing.has(flow.from)) outgoing.set(flow.from, []);
+    outgoing.get(flow.from).push(flow);
+    hasIncoming.add(flow.to);
+    ids.add(flow.from);
+    ids.add(flow.to);
+  }
+
+  const circular = new Set();
+  const onStack = new Set();
+  const done = new Set();
+
+  // Iterative DFS so long chains cannot overflow the call stack
+  const visit = (root) => {
+    const stack = [{ id: root, edges: outgoing.get(root) || [], next: 0 }];
+    onStack.add(root);
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      if (frame.next >= frame.edges.length) {
+        onStack.delete(frame.id);
+        done.add(frame.id);
+        stack.pop();
+        continue;
+      }
+      const flow = frame.edges[frame.next++];
+      if (onStack.has(flow.to)) {
+        circular.add(flow);
+      } else if (!done.has(flow.to)) {
+        onStack.add(flow.to);
+        stack.push({ id: flow.to, edges: outgoing.get(flow.to) || [], next: 0 });
+      }
+    }
+  };
+
+  for (const id of ids) {
+    if (!hasIncoming.has(id) && !done.has(id)) visit(id);
+  }
+  for (const id of ids) {
+    if (!done.has(id)) visit(id);
+  }
+
+  if (levels) {
     for (const flow of data) {
-      if (flow.from === id && !visited.has(flow.to)) {
-        queue.push({ id: flow.to, level: level + 1 });
+      const fromLevel = levels.get(flow.from);
+      const toLevel = levels.get(flow.to);
+      if (fromLevel != null && toLevel != null && toLevel <= fromLevel) {
+        circular.add(flow);
+      }
+    }
+  }
+
+  return circular;
+}
+
+/**
+ * Assigns hierarchical levels to nodes. The depth of a node is one level
+ * after its furthest predecessor; `nodeAlign` then decides the final column,
+ * following d3-sankey:
+ * - 'left': the node's depth
+ * - 'right': aligned by distance to the furthest sink
+ * - 'justify': like 'left', but sinks are pushed to the last column
+ * - 'center': like 'left', but sources are moved next to their nearest target
+ * - function (node, columnCount) => column, where node carries depth and height
+ * Back-edges from findCircularLinks() are ignored so cycles do not push
+ * nodes further right. Pinned columns always win over alignment.
+ * @param {Array} data - Valid flow data
+ * @param {Map} nodes - Node map from buildNodes()
+ * @param {Object} [nodeConfig] - Optional map of nodeId → { column } overrides
+ * @param {string|Function} [nodeAlign='left'] - Column alignment mode
+ */
+export function assignNodeLevels(data, nodes, nodeConfig, nodeAlign = 'left') {
+  const circular = findCircularLinks(data);
+
+  const pinned = new Map();
+  if (nodeConfig) {
+    for (const [id, cfg] of Object.entries(nodeConfig)) {
+      if (cfg && cfg.column != null && nodes.has(id)) pinned.set(id, cfg.column);
+    }
+  }
+
+  const outgoing = new Map();
+  const incoming = new Map();
+  const inDegree = new Map();
+  for (const id of nodes.keys()) {
+    outgoing.set(id, []);
+    incoming.set(id, []);
+    inDegree.set(id, 0);
+  }
+  for (const flow of data) {
+    if (circular.has(flow) || !nodes.has(flow.from) || !nodes.has(flow.to)) continue;
+    outgoing.get(flow.from).push(flow.to);
+    incoming.get(flow.to).push(flow.from);
+    inDegree.set(flow.to, inDegree.get(flow.to) + 1);
+  }
+
+  // Longest-path layering in topological order (Kahn's algorithm)
+  const depths = new Map();
+  const order = [];
+  for (const [id, degree] of inDegree) {
+    if (degree === 0) order.push(id);
+  }
+  for (const id of nodes.keys()) depths.set(id, pinned.get(id) ?? 0);
+
+  let head = 0;
+  while (head < order.length) {
+    const id = order[head++];
+    for (const to of outgoing.get(id)) {
+      if (!pinned.has(to)) {
+        depths.set(to, Math.max(depths.get(to), depths.get(id) + 1));
       }
+      inDegree.set(to, inDegree.get(to) - 1);
+      if (inDegree.get(to) === 0) order.push(to);
     }
   }
 
-  // Place remaining unvisited nodes based on incoming edge levels
+  if (nodeAlign === 'left' || nodeAlign == null) return depths;
+
+  // Height: longest path down to a sink, walked in reverse topological order
+  const heights = new Map();
+  for (let i = order.length - 1; i >= 0; i--) {
+    const id = order[i];
+    let height = 0;
+    for (const to of outgoing.get(id)) height = Math.max(height, heights.get(to) + 1);
+    heights.set(id, height);
+  }
+
+  const columnCount = Math.max(0, ...depths.values()) + 1;
+  const levels = new Map();
   for (const id of nodes.keys()) {
-    if (!levels.has(id)) {
-      let maxIncomingLevel = -1;
-      for (const flow of data) {
-        if (flow.to === id && levels.has(flow.from)) {
-          maxIncomingLevel = Math.max(maxIncomingLevel, levels.get(flow.from));
-        }
+    if (pinned.has(id)) {
+      levels.set(id, pinned.get(id));
+      continue;
+    }
+    const depth = depths.get(id);
+    const height = heights.get(id);
+    let level;
+    if (typeof nodeAlign === 'function') {
+      level = nodeAlign({ ...nodes.get(id), depth, height }, columnCount);
+    } else if (nodeAlign === 'right') {
+      level = columnCount - 1 - height;
+    } else if (nodeAlign === 'justify') {
+      level = outgoing.get(id).length > 0 ? depth : columnCount - 1;
+    } else if (nodeAlign === 'center') {
+      if (incoming.get(id).length > 0) {
+        level = depth;
+      } else if (outgoing.get(id).length > 0) {
+        level = Math.min(...outgoing.get(id).map(to => depths.get(to))) - 1;
+      } else {
+        level = 0;
       }
-      levels.set(id, maxIncomingLevel >= 0 ? maxIncomingLevel + 1 : 0);
+    } else {
+      level = depth;
     }
+    levels.set(id, Math.max(0, Math.floor(Number(level) || 0)));
   }
 
   return levels;
@@ -213,141 +590,1073 @@ export function reorderNodes(nodesByLevel, data) {
 }
 
 /**
- * Resolve the display color for a node.
+ * Pushes overlapping nodes in one column apart so they keep `padding`
+ * between them and stay within [start, end]. Sorts the column by position.
  */
-function resolveNodeColor(nodeId, dataset, nodeIndex) {
-  if (dataset.nodeColors && dataset.nodeColors[nodeId]) {
-    return dataset.nodeColors[nodeId];
+function resolveCollisions(column, padding, start, end) {
+  column.sort((a, b) => a.pos - b.pos);
+  let next = start;
+  for (const node of column) {
+    if (node.pos < next) node.pos = next;
+    next = node.pos + node.size + padding;
+  }
+  // Overflowed the end: push back up from the bottom
+  if (next - padding > end) {
+    next = end;
+    for (let i = column.length - 1; i >= 0; i--) {
+      const node = column[i];
+      if (node.pos + node.size > next) node.pos = next - node.size;
+      next = node.pos - padding;
+    }
   }
-  const nc = dataset.nodeColor;
-  if (typeof nc === 'function') return nc(nodeId);
-  if (typeof nc === 'string') return nc;
-  return 'rgba(0, 0, 0, 0.8)';
 }
 
 /**
- * Flow element for Sankey diagrams.
- * Renders as a bezier band connecting two nodes, with tapering support.
+ * Iteratively moves nodes along the node axis toward the flow-weighted center
+ * of their neighbors, sweeping left-to-right then right-to-left, and resolves
+ * collisions after each column (similar to d3-sankey). Mutates the column
+ * entries in place and leaves each column sorted by position.
+ * @param {Array<Array<{id: string, pos: number, size: number}>>} columns - Nodes per level, in level order
+ * @param {Array} data - Flows to relax along (circular links should be left out)
+ * @param {Object} options - { iterations, padding, start, end }
  */
-export class FlowElement extends Element {
-  draw(ctx) {
-    const { x, y, x2, y2, height, height2, color, orientation } = this;
-    if (x == null || x2 == null || !height) return;
+export function relaxNodes(columns, data, { iterations, padding, start, end }) {
+  const entries = new Map();
+  for (const column of columns) {
+    for (const node of column) entries.set(node.id, node);
+  }
+  const incoming = new Map();
+  const outgoing = new Map();
+  for (const flow of data) {
+    if (!entries.has(flow.from) || !entries.has(flow.to)) continue;
+    if (!incoming.has(flow.to)) incoming.set(flow.to, []);
+    incoming.get(flow.to).push({ id: flow.from, weight: flow.flow });
+    if (!outgoing.has(flow.from)) outgoing.set(flow.from, []);
+    outgoing.get(flow.from).push({ id: flow.to, weight: flow.flow });
+  }
 
-    const isVertical = orientation === 'vertical';
-    const h1 = height / 2;
-    const h2 = (height2 != null ? height2 : height) / 2;
+  const center = node => node.pos + node.size / 2;
+  const relax = (column, neighborsOf, alpha) => {
+    for (const node of column) {
+      const neighbors = neighborsOf.get(node.id);
+      if (!neighbors) continue;
+      let weighted = 0;
+      let total = 0;
+      for (const { id, weight } of neighbors) {
+        weighted += center(entries.get(id)) * weight;
+        total += weight;
+      }
+      if (total > 0) node.pos += (weighted / total - center(node)) * alpha;
+    }
+    resolveCollisions(column, padding, start, end);
+  };
 
-    ctx.save();
+  for (let i = 0; i < iterations; i++) {
+    const alpha = Math.pow(0.99, i);
+    for (let c = 1; c < columns.length; c++) relax(columns[c], incoming, alpha);
+    for (let c = columns.length - 2; c >= 0; c--) relax(columns[c], outgoing, alpha);
+  }
+}
 
-    // Dim logic: flow hover dims non-active flows; node hover dims unconnected flows
-    if (this._hoveredNode) {
-      // Node hover mode: highlight flows connected to the hovered node
-      if (this.from !== this._hoveredNode && this.to !== this._hoveredNode) {
-        ctx.globalAlpha = 0.15;
-      }
-    } else if (this._hasActiveFlows && !this.active) {
-      ctx.globalAlpha = 0.3;
+/**
+ * Adapters turning other common input shapes into sankey flow data. Each one
+ * returns `{ data, nodes }`, ready to spread into a dataset: `data` holds the
+ * `{from, to, flow}` objects and `nodes` any node records the input carried
+ * (labels, colors). Values are passed through as numbers even when they are
+ * not valid flows, so the controller can skip or report them.
+ */
+
+/**
+ * From d3-sankey style `{nodes, links}`. Link `source` and `target` can be node
+ * indices, node IDs or node objects. A node's ID is its `id`, else its `name`,
+ * else its index; a `name` next to an `id` becomes the label.
+ * @param {{nodes: Array, links: Array}} graph
+ * @returns {{data: Array, nodes: Object}}
+ */
+export function fromD3Sankey(graph) {
+  const graphNodes = graph?.nodes || [];
+  const ids = graphNodes.map((node, i) => String(node?.id ?? node?.name ?? i));
+  const byId = new Map(ids.map((id, i) => [id, i]));
+  const nodes = {};
+  graphNodes.forEach((node, i) => {
+    if (node == null || typeof node !== 'object') return;
+    const record = {};
+    if (node.id != null && node.name != null) record.label = String(node.name);
+    if (node.color != null) record.color = node.color;
+    if (Object.keys(record).length > 0) nodes[ids[i]] = record;
+  });
+  const resolve = (ref) => {
+    if (ref != null && typeof ref === 'object') {
+      const i = graphNodes.indexOf(ref);
+      return i >= 0 ? ids[i] : String(ref.id ?? ref.name);
     }
+    if (typeof ref === 'number') return ids[ref] ?? String(ref);
+    return byId.has(String(ref)) ? String(ref) : (ref == null ? undefined : String(ref));
+  };
+  const data = (graph?.links || []).map(link => {
+    const dp = { from: resolve(link.source), to: resolve(link.target), flow: Number(link.value) };
+    if (link.color != null) dp.color = link.color;
+    return dp;
+  });
+  return { data, nodes };
+}
 
-    // Determine fill style
-    if (this.active && this.hoverColor) {
-      ctx.fillStyle = this.hoverColor;
-    } else if (this.colorMode === 'gradient' && x !== x2) {
-      if (isVertical) {
-        const gradient = ctx.createLinearGradient(0, y, 0, y2);
-        gradient.addColorStop(0, this.colorFrom || color || defaultColors[0]);
-        gradient.addColorStop(1, this.colorTo || color || defaultColors[0]);
-        ctx.fillStyle = gradient;
+/**
+ * From an origin-destination matrix: `matrix[row][column]` is the flow from
+ * `rows[row]` to `columns[column]`. Empty and zero cells are skipped, and so is
+ * the diagonal when rows and columns name the same nodes.
+ * @param {Array<Array<number>>} matrix
+ * @param {Array<string>} rows - Row labels (origins)
+ * @param {Array<string>} [columns=rows] - Column labels (destinations)
+ * @returns {{data: Array, nodes: Object}}
+ */
+export function fromMatrix(matrix, rows, columns = rows) {
+  const data = [];
+  (matrix || []).forEach((cells, r) => {
+    (cells || []).forEach((value, c) => {
+      if (value == null || value === '' || Number(value) === 0) return;
+      const from = String(rows?.[r] ?? r);
+      const to = String(columns?.[c] ?? c);
+      if (from === to) return;
+      data.push({ from, to, flow: Number(value) });
+    });
+  });
+  return { data, nodes: {} };
+}
+
+/**
+ * Split delimited text into rows of fields. Quoted fields may contain the
+ * delimiter, line breaks and doubled quotes.
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
       } else {
-        const gradient = ctx.createLinearGradient(x, 0, x2, 0);
-        gradient.addColorStop(0, this.colorFrom || color || defaultColors[0]);
-        gradient.addColorStop(1, this.colorTo || color || defaultColors[0]);
-        ctx.fillStyle = gradient;
+        field += ch;
       }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
     } else {
-      ctx.fillStyle = color || defaultColors[0];
+      field += ch;
     }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
 
-    ctx.beginPath();
-    if (isVertical) {
-      // Vertical: flow goes top-to-bottom, band width is horizontal
-      const midY = (y + y2) / 2;
-      ctx.moveTo(x - h1, y);
-      ctx.bezierCurveTo(x - h1, midY, x2 - h2, midY, x2 - h2, y2);
-      ctx.lineTo(x2 + h2, y2);
-      ctx.bezierCurveTo(x2 + h2, midY, x + h1, midY, x + h1, y);
-    } else {
-      // Horizontal: flow goes left-to-right, band width is vertical
-      const midX = (x + x2) / 2;
-      ctx.moveTo(x, y - h1);
-      ctx.bezierCurveTo(midX, y - h1, midX, y2 - h2, x2, y2 - h2);
-      ctx.lineTo(x2, y2 + h2);
-      ctx.bezierCurveTo(midX, y2 + h2, midX, y + h1, x, y + h1);
+/**
+ * From CSV or TSV text with one flow per line. With a header row, the source,
+ * target and value columns are found by name (`source`/`from`,
+ * `target`/`to`, `value`/`flow`/`weight`, case-insensitive) unless `columns`
+ * names them; without one they are the first three columns, or the indices
+ * given in `columns`. The delimiter is a tab when the first line has one.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - ',' or '\t' (detected by default)
+ * @param {boolean} [options.header=true] - Whether the first line holds column names
+ * @param {{from?: string|number, to?: string|number, flow?: string|number}} [options.columns]
+ * @returns {{data: Array, nodes: Object}}
+ */
+export function fromCSV(text, options = {}) {
+  const input = String(text ?? '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = options.delimiter ?? (firstLine.includes('\t') ? '\t' : ',');
+  const rows = parseDelimited(input, delimiter);
+  const header = options.header !== false;
+  const names = header && rows.length > 0 ? rows.shift().map(name => name.trim().toLowerCase()) : [];
+  const defaults = {
+    from: ['source', 'from'],
+    to: ['target', 'to'],
+    flow: ['value', 'flow', 'weight']
+  };
+  const columnOf = (key, fallback) => {
+    const given = options.columns?.[key];
+    if (typeof given === 'number') return given;
+    if (given != null) return names.indexOf(String(given).trim().toLowerCase());
+    if (!header) return fallback;
+    const index = names.findIndex(name => defaults[key].includes(name));
+    return index >= 0 ? index : fallback;
+  };
+  const fromCol = columnOf('from', 0);
+  const toCol = columnOf('to', 1);
+  const flowCol = columnOf('flow', 2);
+  const data = rows.map(row => ({
+    from: row[fromCol]?.trim(),
+    to: row[toCol]?.trim(),
+    flow: row[flowCol] == null || row[flowCol].trim() === '' ? NaN : Number(row[flowCol])
+  }));
+  return { data, nodes: {} };
+}
+
+/**
+ * From a nested tree: every parent gets a flow to each of its children. A
+ * child's flow is its `value`, or the sum of its descendants' flows when it
+ * has no value of its own. Node IDs are the `name` (or `id`) of each object.
+ * @param {Object} root
+ * @param {Object} [options]
+ * @param {string} [options.id='name'] - Key holding the node ID
+ * @param {string} [options.children='children'] - Key holding the child array
+ * @param {string} [options.value='value'] - Key holding the node's value
+ * @returns {{data: Array, nodes: Object}}
+ */
+export function fromTree(root, options = {}) {
+  const idKey = options.id ?? 'name';
+  const childrenKey = options.children ?? 'children';
+  const valueKey = options.value ?? 'value';
+  const data = [];
+  const nodes = {};
+  const idOf = (node) => String(node[idKey] ?? node.id);
+  const visit = (node) => {
+    const id = idOf(node);
+    if (node.color != null) nodes[id] = { color: node.color };
+    let sum = 0;
+    for (const child of node[childrenKey] || []) {
+      if (child == null || typeof child !== 'object') continue;
+      const dp = { from: id, to: idOf(child) };
+      data.push(dp);
+      dp.flow = visit(child);
+      sum += dp.flow;
     }
-    ctx.closePath();
-    ctx.fill();
+    const own = node[valueKey];
+    return own != null ? Number(own) : sum;
+  };
+  if (root != null && typeof root === 'object') visit(root);
+  return { data, nodes };
+}
 
-    ctx.restore();
+/**
+ * Resolve the display color for a node.
+ * @param {Object} options - Option resolver for the node's context
+ * @param {Object} context - Scriptable node context, passed to a nodeColor callback
+ */
+function resolveNodeColor(nodeId, dataset, options, context) {
+  const cfg = dataset.nodes && dataset.nodes[nodeId];
+  if (cfg && cfg.color) return cfg.color;
+  if (options.nodeColors && options.nodeColors[nodeId]) {
+    return options.nodeColors[nodeId];
   }
+  const nc = options.nodeColor;
+  if (typeof nc === 'function') return nc(nodeId, context);
+  if (typeof nc === 'string') return nc;
+  return 'rgba(0, 0, 0, 0.8)';
+}
 
-  inRange(mouseX, mouseY) {
-    const { x, y, x2, y2, height, height2, orientation } = this;
-    if (x == null || x2 == null) return false;
+/**
+ * Hide an element visually while keeping it available to screen readers.
+ */
+function visuallyHide(el) {
+  Object.assign(el.style, {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    margin: '-1px',
+    padding: '0',
+    border: '0',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap'
+  });
+}
 
-    const h1 = height || 0;
-    const h2 = height2 != null ? height2 : h1;
-
-    if (orientation === 'vertical') {
-      // Vertical: flow runs along Y axis, band width along X
-      if (y2 === y) return false;
-      if (mouseY < Math.min(y, y2) || mouseY > Math.max(y, y2)) return false;
-      const t = (mouseY - y) / (y2 - y);
-      const centerX = x + t * (x2 - x);
-      const h = h1 + t * (h2 - h1);
-      return mouseX >= centerX - h / 2 && mouseX <= centerX + h / 2;
-    } else {
-      if (x2 === x) return false;
-      if (mouseX < x || mouseX > x2) return false;
-      const t = (mouseX - x) / (x2 - x);
-      const centerY = y + t * (y2 - y);
-      const h = h1 + t * (h2 - h1);
-      return mouseY >= centerY - h / 2 && mouseY <= centerY + h / 2;
-    }
+/**
+ * Value and share formatting for the `valueFormat` option: Intl.NumberFormat
+ * options plus `locale`, `prefix`, `suffix` and `percentDigits` (fraction
+ * digits of shares). Without `valueFormat` values print as plain numbers.
+ */
+function createFormatters(valueFormat) {
+  const { locale, prefix = '', suffix = '', percentDigits = 0, ...numberOptions } = valueFormat || {};
+  const number = valueFormat ? new Intl.NumberFormat(locale, numberOptions) : null;
+  const percent = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: percentDigits });
+  const isNumber = v => typeof v === 'number' && isFinite(v);
+  return {
+    value: v => (isNumber(v) ? `${prefix}${number ? number.format(v) : v}${suffix}` : String(v ?? '')),
+    percent: share => (isNumber(share) ? percent.format(share) : '')
+  };
+}
+
+const shareKeys = { source: 'ofSource', target: 'ofTarget', total: 'ofTotal' };
+
+/**
+ * Which side of its node a label sits on: 'left', 'right', 'top', 'bottom' or
+ * 'inside'. With position 'auto' the first and last columns label outward and
+ * the columns in between label above (horizontal) or to the left (vertical).
+ */
+function labelSide(position, level, maxLevel, isVertical) {
+  if (position === 'left' || position === 'right' || position === 'inside') return position;
+  if (position === 'auto' && maxLevel > 0) {
+    if (level === 0) return isVertical ? 'top' : 'left';
+    if (level === maxLevel) return isVertical ? 'bottom' : 'right';
+    if (isVertical) return 'left';
   }
+  return 'top';
+}
 
-  getCenterPoint() {
-    return {
-      x: ((this.x || 0) + (this.x2 || 0)) / 2,
-      y: ((this.y || 0) + (this.y2 || 0)) / 2
-    };
+/**
+ * Shorten text with a trailing ellipsis until it fits `maxWidth`.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {function(string): number} measure - Width of a string in the label font
+ * @returns {string} The text itself when it fits, '' when not even the ellipsis does
+ */
+export function truncateText(text, maxWidth, measure) {
+  if (measure(text) <= maxWidth) return text;
+  const ellipsis = '\u2026';
+  if (measure(ellipsis) > maxWidth) return '';
+  // Longest prefix that still fits with the ellipsis
+  let lo = 0;
+  let hi = text.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (measure(text.slice(0, mid).trimEnd() + ellipsis) <= maxWidth) lo = mid;
+    else hi = mid - 1;
   }
+  return text.slice(0, lo).trimEnd() + ellipsis;
+}
 
-  tooltipPosition() {
-    return this.getCenterPoint();
+/**
+ * Break text into lines no wider than `maxWidth`, at whitespace. A single word
+ * wider than `maxWidth` keeps a line of its own.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {function(string): number} measure - Width of a string in the label font
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, measure) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && measure(candidate) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
   }
+  if (line || lines.length === 0) lines.push(line);
+  return lines;
 }
 
-FlowElement.id = 'flow';
-FlowElement.defaults = {};
+/**
+ * Point a label on `side` of the node box `pos` is anchored to, `padding` away from the node.
+ */
+function labelAnchor(side, pos, padding) {
+  if (side === 'left') return { x: pos.x - padding, y: pos.y + pos.height / 2 };
+  if (side === 'right') return { x: pos.x + pos.width + padding, y: pos.y + pos.height / 2 };
+  if (side === 'top') return { x: pos.x + pos.width / 2, y: pos.y - padding };
+  if (side === 'inside') return { x: pos.x + pos.width / 2, y: pos.y + pos.height / 2 };
+  return { x: pos.x + pos.width / 2, y: pos.y + pos.height + padding };
+}
 
 /**
- * Sankey Diagram Controller for Chart.js
+ * Top-left corner of a label box of size w x h anchored at (x, y) on `side` of its node.
  */
-export class SankeyController extends DatasetController {
-  static id = 'sankey';
+function labelBoxOrigin(side, x, y, w, h) {
+  if (side === 'left') return { x: x - w, y: y - h / 2 };
+  if (side === 'right') return { x, y: y - h / 2 };
+  if (side === 'top') return { x: x - w / 2, y: y - h };
+  if (side === 'inside') return { x: x - w / 2, y: y - h / 2 };
+  return { x: x - w / 2, y };
+}
 
-  static defaults = {
-    dataElementType: 'flow',
-    animations: {
-      numbers: {
-        type: 'number',
-        properties: ['x', 'y', 'x2', 'y2', 'height', 'height2']
-      },
-      colors: {
-        type: 'color',
-        properties: ['color', 'colorFrom', 'colorTo']
-      }
+/**
+ * Canvas font string for a `{ size, family, weight, style }` font.
+ */
+function fontString(font) {
+  return [font.style, font.weight, `${font.size || 12}px`, font.family || 'sans-serif'].filter(Boolean).join(' ');
+}
+
+/**
+ * Lines of segments for a label formatter result: a string (split at line
+ * breaks) or an array with one entry per line, each a string, a segment
+ * `{ text, font, color }` or an array of segments drawn side by side.
+ * Segment fonts extend the label font; segments without a color use the label color.
+ * @returns {Array<Array<{text: string, font: Object, color: ?string}>>}
+ */
+function labelSegments(content, font) {
+  const segment = part => (part !== null && typeof part === 'object'
+    ? { text: String(part.text ?? ''), font: { ...font, ...part.font }, color: part.color ?? null }
+    : { text: String(part ?? ''), font, color: null });
+  if (!Array.isArray(content)) return String(content ?? '').split('\n').map(text => [segment(text)]);
+  return content.map(line => (Array.isArray(line) ? line.map(segment) : [segment(line)]));
+}
+
+/**
+ * Layout boxes that make room for sankey labels outside the chart area when
+ * `labels.reserveSpace` is set: one per chart edge, sized by the widest label
+ * any sankey dataset puts past that edge. Added once per chart.
+ */
+function addLabelSpace(chart) {
+  if (chart._sankeyLabelSpace) return;
+  const extents = { left: 0, right: 0, top: 0, bottom: 0 };
+  chart._sankeyLabelSpace = ['left', 'top', 'right', 'bottom'].map(position => {
+    const box = {
+      position,
+      weight: 0,
+      fullSize: false,
+      options: {},
+      isHorizontal: () => position === 'top' || position === 'bottom',
+      beforeLayout() {
+        if (position !== 'left') return;
+        Object.assign(extents, { left: 0, right: 0, top: 0, bottom: 0 });
+        for (const meta of chart.getSortedVisibleDatasetMetas()) {
+          if (meta.type !== 'sankey') continue;
+          const own = meta.controller._labelExtents();
+          for (const side in extents) extents[side] = Math.max(extents[side], own[side]);
+        }
+      },
+      update(maxWidth, maxHeight) {
+        if (box.isHorizontal()) {
+          box.width = maxWidth;
+          box.height = Math.min(extents[position], maxHeight);
+        } else {
+          box.width = Math.min(extents[position], maxWidth);
+          box.height = maxHeight;
+        }
+      },
+      draw() {}
+    };
+    layouts.addBox(chart, box);
+    return box;
+  });
+}
+
+/**
+ * Take the label space boxes off the chart once no sankey dataset other than
+ * `except` (one being destroyed) reserves space.
+ */
+function removeLabelSpace(chart, except) {
+  if (!chart._sankeyLabelSpace) return;
+  const reserved = chart.getSortedVisibleDatasetMetas().some(meta => meta.type === 'sankey'
+    && meta.controller !== except && meta.controller.options.labels.reserveSpace);
+  if (reserved) return;
+  for (const box of chart._sankeyLabelSpace) layouts.removeBox(chart, box);
+  chart._sankeyLabelSpace = null;
+}
+
+// Function-valued options that are callbacks with their own signature,
+// not scriptable (context) => value options
+const callbackOptions = new Set(['nodeColor', 'nodeBorderColor', 'nodeAlign', 'flowSort', 'formatter', 'filter', 'nodeFilter', 'linkShape']);
+
+/**
+ * Corner points of a circular (back-edge) flow's center line, in canvas coordinates.
+ * The loop leaves the source face, runs out to `loopPos` on the node axis,
+ * travels back along the diagram edge and re-enters the target face.
+ */
+function circularPathPoints(el) {
+  const { x, y, x2, y2, loopPos, orientation } = el;
+  const leg = el.legOffset || 0;
+  const isVertical = orientation === 'vertical';
+  // Work in level-axis (u) / node-axis (v) space, then map back to x/y
+  const u1 = isVertical ? y : x;
+  const v1 = isVertical ? x : y;
+  const u2 = isVertical ? y2 : x2;
+  const v2 = isVertical ? x2 : y2;
+  const uv = [
+    [u1, v1],
+    [u1 + leg, v1],
+    [u1 + leg, loopPos],
+    [u2 - leg, loopPos],
+    [u2 - leg, v2],
+    [u2, v2]
+  ];
+  return uv.map(([u, v]) => (isVertical ? { x: v, y: u } : { x: u, y: v }));
+}
+
+/**
+ * Corner radius of a loop: its leg offset, limited by the runs between corners.
+ */
+function loopCornerRadius(el, points) {
+  return Math.max(0, Math.min(
+    el.legOffset || 0,
+    Math.hypot(points[2].x - points[1].x, points[2].y - points[1].y) / 2,
+    Math.hypot(points[4].x - points[3].x, points[4].y - points[3].y) / 2
+  ));
+}
+
+/**
+ * Samples along a loop's center line: the corner points with each rounded corner
+ * split into short steps. Every sample carries the band normal and half the band
+ * thickness there, which tapers from `height` at the source to `height2` at the target.
+ */
+function loopCenterLine(el) {
+  const points = circularPathPoints(el);
+  const radius = loopCornerRadius(el, points);
+  const last = points.length - 1;
+  const steps = 8;
+  const unit = (a, b) => {
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+  };
+  const samples = [];
+  const add = (x, y, nx, ny) => samples.push({ x, y, nx, ny });
+
+  const first = unit(points[0], points[1]);
+  add(points[0].x, points[0].y, -first.y, first.x);
+  for (let i = 1; i < last; i++) {
+    const d1 = unit(points[i - 1], points[i]);
+    const d2 = unit(points[i], points[i + 1]);
+    const cx = points[i].x - d1.x * radius + d2.x * radius;
+    const cy = points[i].y - d1.y * radius + d2.y * radius;
+    // The arc runs from the end of the incoming run to the start of the outgoing one
+    const a1 = Math.atan2(-d2.y, -d2.x);
+    let sweep = Math.atan2(d1.y, d1.x) - a1;
+    if (sweep > Math.PI) sweep -= Math.PI * 2;
+    if (sweep < -Math.PI) sweep += Math.PI * 2;
+    // Keep the normal on the same side of the band through the turn
+    const side = d1.y * d2.x - d1.x * d2.y < 0 ? -1 : 1;
+    for (let k = 0; k <= steps; k++) {
+      const angle = a1 + sweep * k / steps;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      add(cx + cos * radius, cy + sin * radius, cos * side, sin * side);
+    }
+  }
+  const lastDir = unit(points[last - 1], points[last]);
+  add(points[last].x, points[last].y, -lastDir.y, lastDir.x);
+
+  const lengths = [0];
+  for (let i = 1; i < samples.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(samples[i].x - samples[i - 1].x, samples[i].y - samples[i - 1].y));
+  }
+  const total = lengths[lengths.length - 1] || 1;
+  const h1 = el.height || 0;
+  const h2 = el.height2 != null ? el.height2 : h1;
+  samples.forEach((s, i) => {
+    s.half = (h1 + (h2 - h1) * lengths[i] / total) / 2;
+  });
+  return samples;
+}
+
+/**
+ * Trace the outline of a circular flow: out along one edge of the band and back
+ * along the other, like traceFlowPath() does for regular flows.
+ */
+function traceLoopPath(ctx, el) {
+  const samples = loopCenterLine(el);
+  samples.forEach((s, i) => {
+    const px = s.x + s.nx * s.half;
+    const py = s.y + s.ny * s.half;
+    if (i === 0) ctx.moveTo(px, py);
+    else ctx.lineTo(px, py);
+  });
+  for (let i = samples.length - 1; i >= 0; i--) {
+    const s = samples[i];
+    ctx.lineTo(s.x - s.nx * s.half, s.y - s.ny * s.half);
+  }
+}
+
+/**
+ * Shortest distance from a point to a line segment.
+ */
+function distanceToSegment(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  let t = lengthSq > 0 ? ((px - a.x) * dx + (py - a.y) * dy) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+}
+
+const patternDefaults = { color: 'rgba(0, 0, 0, 0.35)', spacing: 6, lineWidth: 1 };
+
+/**
+ * Normalize a flow `pattern` option: 'hatch', 'crosshatch' or 'dots' (or an
+ * object with one of them as `type` plus `color`, `spacing`, `lineWidth`)
+ * becomes a full pattern record; a CanvasPattern is kept as it is.
+ */
+function flowPattern(pattern) {
+  if (!pattern) return null;
+  if (typeof pattern === 'string') return { ...patternDefaults, type: pattern };
+  if (typeof pattern.type !== 'string') return pattern;
+  return {
+    type: pattern.type,
+    color: pattern.color ?? patternDefaults.color,
+    spacing: pattern.spacing ?? patternDefaults.spacing,
+    lineWidth: pattern.lineWidth ?? patternDefaults.lineWidth
+  };
+}
+
+/**
+ * Trace the outline of a (non-circular) flow band: along the upper edge from the
+ * source face to the target face and back along the lower edge. Works in
+ * level-axis (u) / node-axis (v) space so one routine serves both orientations.
+ * `linkShape` is 'bezier' (control points `curvature` of the way in from each
+ * end), 'straight', 'step' or a function tracing the path itself; a positive
+ * `arrowLength` ends the band in an arrowhead at the target.
+ * @param {CanvasRenderingContext2D|PathOutline} ctx - Anything with the canvas path methods
+ * @param {FlowElement} el
+ */
+function traceFlowPath(ctx, el) {
+  if (typeof el.linkShape === 'function') {
+    el.linkShape(ctx, el);
+    return;
+  }
+  const { x, y, x2, y2, height, height2, orientation } = el;
+  const isVertical = orientation === 'vertical';
+  const h1 = height / 2;
+  const h2 = (height2 != null ? height2 : height) / 2;
+  const u1 = isVertical ? y : x;
+  const v1 = isVertical ? x : y;
+  const u2 = isVertical ? y2 : x2;
+  const v2 = isVertical ? x2 : y2;
+  const dir = u2 < u1 ? -1 : 1;
+  // The band stops short of the target face by the arrowhead's length
+  const end = u2 - dir * Math.min(Math.max(el.arrowLength || 0, 0), Math.abs(u2 - u1));
+  const pt = (u, v) => (isVertical ? [v, u] : [u, v]);
+  const moveTo = (u, v) => ctx.moveTo(...pt(u, v));
+  const lineTo = (u, v) => ctx.lineTo(...pt(u, v));
+  const curveTo = (cu1, cv1, cu2, cv2, u, v) => ctx.bezierCurveTo(...pt(cu1, cv1), ...pt(cu2, cv2), ...pt(u, v));
+  const tip = () => {
+    if (end !== u2) lineTo(u2, v2);
+    lineTo(end, v2 + h2);
+  };
+
+  moveTo(u1, v1 - h1);
+  if (el.linkShape === 'straight') {
+    lineTo(end, v2 - h2);
+    tip();
+    lineTo(u1, v1 + h1);
+  } else if (el.linkShape === 'step') {
+    // Level run to the middle, a turn along the node axis, level run to the target
+    const mid = (u1 + end) / 2;
+    const turn = Math.sign(v2 - v1) * dir * (h1 + h2) / 2;
+    lineTo(mid + turn, v1 - h1);
+    lineTo(mid + turn, v2 - h2);
+    lineTo(end, v2 - h2);
+    tip();
+    lineTo(mid - turn, v2 + h2);
+    lineTo(mid - turn, v1 + h1);
+    lineTo(u1, v1 + h1);
+  } else {
+    const curvature = el.curvature ?? 0.5;
+    const ca = u1 + (end - u1) * curvature;
+    const cb = end - (end - u1) * curvature;
+    curveTo(ca, v1 - h1, cb, v2 - h2, end, v2 - h2);
+    tip();
+    curveTo(cb, v2 + h2, ca, v1 + h1, u1, v1 + h1);
+  }
+}
+
+/**
+ * Records a canvas path as polygons, flattening curves, so flow hit-testing
+ * follows exactly the outline traceFlowPath or traceLoopPath draws.
+ */
+class PathOutline {
+  constructor() {
+    this.polygons = [];
+  }
+
+  _point() {
+    const polygon = this.polygons[this.polygons.length - 1];
+    return polygon ? polygon[polygon.length - 1] : { x: 0, y: 0 };
+  }
+
+  beginPath() {
+    this.polygons = [];
+  }
+
+  moveTo(x, y) {
+    this.polygons.push([{ x, y }]);
+  }
+
+  lineTo(x, y) {
+    if (this.polygons.length === 0) this.moveTo(x, y);
+    else this.polygons[this.polygons.length - 1].push({ x, y });
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    const p0 = this._point();
+    for (let i = 1; i <= 16; i++) {
+      const t = i / 16;
+      const a = (1 - t) ** 3;
+      const b = 3 * (1 - t) ** 2 * t;
+      const c = 3 * (1 - t) * t * t;
+      const d = t ** 3;
+      this.lineTo(a * p0.x + b * cp1x + c * cp2x + d * x, a * p0.y + b * cp1y + c * cp2y + d * y);
+    }
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    const p0 = this._point();
+    for (let i = 1; i <= 12; i++) {
+      const t = i / 12;
+      this.lineTo(
+        (1 - t) ** 2 * p0.x + 2 * (1 - t) * t * cpx + t * t * x,
+        (1 - t) ** 2 * p0.y + 2 * (1 - t) * t * cpy + t * t * y
+      );
+    }
+  }
+
+  arcTo(x1, y1) {
+    // Rounded corners are close enough to the corner point for hit-testing
+    this.lineTo(x1, y1);
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    let sweep = endAngle - startAngle;
+    if (counterclockwise && sweep > 0) sweep -= Math.PI * 2;
+    if (!counterclockwise && sweep < 0) sweep += Math.PI * 2;
+    for (let i = 0; i <= 24; i++) {
+      const angle = startAngle + sweep * i / 24;
+      this.lineTo(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+    }
+  }
+
+  rect(x, y, w, h) {
+    this.polygons.push([{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }]);
+  }
+
+  closePath() {}
+
+  /**
+   * Even-odd point-in-polygon test over all recorded subpaths.
+   */
+  contains(px, py) {
+    let inside = false;
+    for (const polygon of this.polygons) {
+      for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > py) !== (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+          inside = !inside;
+        }
+      }
+    }
+    return inside;
+  }
+}
+
+/**
+ * Flow element for Sankey diagrams.
+ * Renders as a bezier band connecting two nodes, with tapering support.
+ * Circular flows (back-edges) render as a loop around the diagram edge.
+ */
+export class FlowElement extends Element {
+  draw(ctx) {
+    const { x, y, x2, y2, height, color, orientation } = this;
+    if (x == null || x2 == null || !height) return;
+
+    const isVertical = orientation === 'vertical';
+    const blendable = [this.colorFrom, this.colorTo].every(c => c == null || typeof c === 'string');
+    const border = this._borderStyle();
+    const pattern = this.active && this.hoverPattern ? this.hoverPattern : this.pattern;
+
+    ctx.save();
+
+    // Dim logic: flow hover dims non-active flows; node hover dims unconnected flows
+    if (this._hoveredNode) {
+      // Node hover mode: highlight flows connected to the hovered node
+      if (this.from !== this._hoveredNode && this.to !== this._hoveredNode) {
+        ctx.globalAlpha = 0.15;
+      }
+    } else if (this._hasActiveFlows && !this.active && !this.focused) {
+      ctx.globalAlpha = 0.3;
+    }
+
+    // Determine fill style
+    if (this.active && this.hoverColor) {
+      ctx.fillStyle = this.hoverColor;
+    } else if (this.colorMode === 'gradient' && !blendable) {
+      // Patterns and gradients given as colors can't be blended into a gradient
+      ctx.fillStyle = color || defaultColors[0];
+    } else if (this.colorMode === 'gradient' && this.circular) {
+      // Gradient runs along the loop's return leg, from source side to target side
+      const [, start, , , end] = circularPathPoints(this);
+      const gradient = ctx.createLinearGradient(start.x, start.y, end.x, end.y);
+      gradient.addColorStop(0, this.colorFrom || color || defaultColors[0]);
+      gradient.addColorStop(1, this.colorTo || color || defaultColors[0]);
+      ctx.fillStyle = gradient;
+    } else if (this.colorMode === 'gradient' && x !== x2) {
+      if (isVertical) {
+        const gradient = ctx.createLinearGradient(0, y, 0, y2);
+        gradient.addColorStop(0, this.colorFrom || color || defaultColors[0]);
+        gradient.addColorStop(1, this.colorTo || color || defaultColors[0]);
+        ctx.fillStyle = gradient;
+      } else {
+        const gradient = ctx.createLinearGradient(x, 0, x2, 0);
+        gradient.addColorStop(0, this.colorFrom || color || defaultColors[0]);
+        gradient.addColorStop(1, this.colorTo || color || defaultColors[0]);
+        ctx.fillStyle = gradient;
+      }
+    } else {
+      ctx.fillStyle = color || defaultColors[0];
+    }
+
+    const tracePath = this.circular ? traceLoopPath : traceFlowPath;
+    ctx.beginPath();
+    tracePath(ctx, this);
+    ctx.closePath();
+    ctx.fill();
+
+    if (pattern) {
+      this._drawPattern(ctx, pattern);
+      ctx.beginPath();
+      tracePath(ctx, this);
+      ctx.closePath();
+    }
+
+    if (border) {
+      ctx.strokeStyle = border.color;
+      ctx.lineWidth = border.width;
+      ctx.setLineDash(border.dash);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    if (this.focused) {
+      ctx.strokeStyle = this._focusColor;
+      ctx.lineWidth = this._focusWidth;
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Border to stroke around the band, with the hover variants while active;
+   * null without a width and color.
+   */
+  _borderStyle() {
+    const hover = (key, base) => (this.active && this[key] != null ? this[key] : base);
+    const width = hover('hoverBorderWidth', this.borderWidth);
+    const color = hover('hoverBorderColor', this.borderColor);
+    if (!(width > 0) || !color) return null;
+    return { width, color, dash: hover('hoverBorderDash', this.borderDash) || [] };
+  }
+
+  /**
+   * Lay a pattern over the fill of the band (the current path). A
+   * canvas pattern fills the band once more; 'hatch', 'crosshatch' and 'dots' are
+   * drawn clipped to the band, aligned to the canvas so neighboring flows match.
+   */
+  _drawPattern(ctx, pattern) {
+    if (typeof pattern.type !== 'string') {
+      ctx.fillStyle = pattern;
+      ctx.fill();
+      return;
+    }
+    const points = this._outline().polygons.flat();
+    if (points.length === 0) return;
+    const minX = Math.min(...points.map(p => p.x));
+    const maxX = Math.max(...points.map(p => p.x));
+    const minY = Math.min(...points.map(p => p.y));
+    const maxY = Math.max(...points.map(p => p.y));
+    const { type, color, spacing, lineWidth } = pattern;
+    const step = Math.max(spacing, 1);
+    ctx.save();
+    ctx.clip();
+    ctx.beginPath();
+    if (type === 'dots') {
+      for (let px = Math.floor(minX / step) * step; px <= maxX; px += step) {
+        for (let py = Math.floor(minY / step) * step; py <= maxY; py += step) {
+          ctx.moveTo(px + lineWidth, py);
+          ctx.arc(px, py, lineWidth, 0, Math.PI * 2);
+        }
+      }
+      ctx.fillStyle = color;
+      ctx.fill();
+    } else {
+      // 45 degree lines across the band's bounding box
+      const h = maxY - minY;
+      for (let k = Math.floor((minX - h) / step) * step; k <= maxX; k += step) {
+        ctx.moveTo(k, maxY);
+        ctx.lineTo(k + h, minY);
+        if (type === 'crosshatch') {
+          ctx.moveTo(k, minY);
+          ctx.lineTo(k + h, maxY);
+        }
+      }
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash([]);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  inRange(mouseX, mouseY) {
+    const { x, y, x2, y2, orientation } = this;
+    if (x == null || x2 == null) return false;
+
+    if (this.circular) {
+      // Tight corners can fold the outline over itself, so test against the center line
+      const samples = loopCenterLine(this);
+      for (let i = 0; i < samples.length - 1; i++) {
+        const half = Math.max(samples[i].half, samples[i + 1].half);
+        if (distanceToSegment(mouseX, mouseY, samples[i], samples[i + 1]) <= half) return true;
+      }
+      return false;
+    }
+
+    // Zero-length flows have no area
+    if (orientation === 'vertical' ? y2 === y : x2 === x) return false;
+    return this._outline().contains(mouseX, mouseY);
+  }
+
+  /**
+   * The drawn outline as polygons, cached until the geometry or shape changes
+   * (animations move it every frame).
+   */
+  _outline() {
+    const { x, y, x2, y2, height, height2, orientation, linkShape, curvature, arrowLength, circular, loopPos, legOffset } = this;
+    const key = [x, y, x2, y2, height, height2, orientation, curvature, arrowLength, circular, loopPos, legOffset].join();
+    if (!this._outlineCache || this._outlineCache.key !== key || this._outlineCache.shape !== linkShape) {
+      const outline = new PathOutline();
+      if (circular) traceLoopPath(outline, this);
+      else traceFlowPath(outline, this);
+      this._outlineCache = { key, shape: linkShape, outline };
+    }
+    return this._outlineCache.outline;
+  }
+
+  getCenterPoint() {
+    if (this.circular && this.x != null && this.x2 != null) {
+      // Middle of the return leg, where the loop runs along the diagram edge
+      const points = circularPathPoints(this);
+      return {
+        x: (points[2].x + points[3].x) / 2,
+        y: (points[2].y + points[3].y) / 2
+      };
+    }
+    return {
+      x: ((this.x || 0) + (this.x2 || 0)) / 2,
+      y: ((this.y || 0) + (this.y2 || 0)) / 2
+    };
+  }
+
+  tooltipPosition() {
+    return this.getCenterPoint();
+  }
+}
+
+FlowElement.id = 'flow';
+FlowElement.defaults = {};
+
+/**
+ * Whether two keyboard focus targets point at the same node or flow.
+ */
+function sameFocus(a, b) {
+  return a.datasetIndex === b.datasetIndex && a.kind === b.kind
+    && (a.kind === 'node' ? a.id === b.id : a.index === b.index);
+}
+
+/**
+ * A node as drawn: its box, color and opacity, animated like the flows.
+ * Tooltip items for a node point at it.
+ */
+class NodeElement extends Element {
+  constructor(cfg) {
+    super();
+    if (cfg) Object.assign(this, cfg);
+  }
+
+  getCenterPoint(useFinalPosition) {
+    const { x, y, width, height } = this.getProps(['x', 'y', 'width', 'height'], useFinalPosition);
+    return { x: x + width / 2, y: y + height / 2 };
+  }
+
+  tooltipPosition(useFinalPosition) {
+    return this.getCenterPoint(useFinalPosition);
+  }
+}
+
+/**
+ * Node or imbalance stub under a point, searched through every visible sankey dataset.
+ * @returns {{datasetIndex: number, nodeId: ?string, stub: ?string}|null}
+ */
+function sankeyTargetAt(chart, x, y) {
+  const metas = chart.getSortedVisibleDatasetMetas().filter(meta => meta.type === 'sankey');
+  for (const meta of metas) {
+    for (const [nodeId, pos] of meta.controller._nodePositions || []) {
+      if (x >= pos.x && x <= pos.x + pos.width && y >= pos.y && y <= pos.y + pos.height) {
+        return { datasetIndex: meta.index, nodeId, stub: null };
+      }
+    }
+  }
+  // Imbalance stubs are not chart elements, so they are looked up here too
+  for (const meta of metas) {
+    const stub = meta.controller._stubAt(x, y);
+    if (stub) return { datasetIndex: meta.index, nodeId: null, stub };
+  }
+  return null;
+}
+
+/**
+ * The 'sankey' interaction mode: the node or imbalance stub under the pointer,
+ * otherwise the flows 'point' finds. Nodes and stubs come as items numbered
+ * after the flows (see SankeyController#_tooltipItem), so the Chart.js tooltip
+ * shows them. A node without tooltip content hides the flows beneath it.
+ */
+function sankeyInteractionMode(chart, event, options, useFinalPosition) {
+  const { x, y } = getRelativePosition(event, chart);
+  const target = sankeyTargetAt(chart, x, y);
+  if (!target) return Interaction.modes.point(chart, event, options, useFinalPosition);
+  const ctrl = chart.getDatasetMeta(target.datasetIndex).controller;
+  // Merged datasets show the node of the dataset that draws it
+  const owner = target.nodeId != null
+    ? [ctrl, ...(ctrl._layoutPeers || [])].find(peer => peer._drawsNodes()) || ctrl
+    : ctrl;
+  const item = owner._tooltipItem(target.nodeId, target.stub);
+  return item && owner._tooltipContent(item.index) ? [item] : [];
+}
+
+/**
+ * Node or stub tooltip content for a tooltip item, or null for a flow.
+ */
+function sankeyTooltipContent(item) {
+  const meta = item.chart.getDatasetMeta(item.datasetIndex);
+  return meta.type === 'sankey' ? meta.controller._tooltipContent(item.dataIndex) : null;
+}
+
+/**
+ * Sankey Diagram Controller for Chart.js
+ */
+export class SankeyController extends DatasetController {
+  static id = 'sankey';
+
+  static afterRegister() {
+    Interaction.modes.sankey = sankeyInteractionMode;
+  }
+
+  static afterUnregister() {
+    delete Interaction.modes.sankey;
+  }
+
+  static defaults = {
+    dataElementType: 'flow',
+    animations: {
+      numbers: {
+        type: 'number',
+        // width and alpha belong to nodes, which animate alongside the flows
+        properties: ['x', 'y', 'x2', 'y2', 'width', 'height', 'height2', 'loopPos', 'legOffset', 'alpha']
+      },
+      colors: {
+        type: 'color',
+        properties: ['color', 'colorFrom', 'colorTo']
+      }
     },
     transitions: {
       active: {
@@ -357,21 +1666,74 @@ export class SankeyController extends DatasetController {
     maintainAspectRatio: false,
     aspectRatio: 1,
     orientation: 'horizontal',
+    nodeAlign: 'left',
+    flowSort: null,
     colorMode: 'from',
+    color: null,
     hoverColor: null,
+    borderColor: null,
+    borderWidth: 0,
+    borderDash: [],
+    hoverBorderColor: null,
+    hoverBorderWidth: null,
+    hoverBorderDash: null,
+    pattern: null,
+    hoverPattern: null,
+    linkShape: 'bezier',
+    curvature: 0.5,
+    arrow: { display: false, length: 10 },
     nodeWidth: 20,
     nodePadding: 10,
+    layoutIterations: 0,
     nodeColor: 'rgba(0, 0, 0, 0.8)',
     nodeColors: null,
     nodeBorderColor: 'rgba(0, 0, 0, 0)',
     nodeBorderWidth: 0,
     nodeBorderRadius: 0,
+    circularLinkGap: 5,
+    circularLinkSide: 'auto',
+    filter: null,
+    nodeFilter: null,
+    focus: null,
+    legendItems: 'nodes',
+    validation: 'silent',
+    valueFormat: null,
+    percentOf: null,
+    mergeDuplicates: true,
+    minFlow: 0,
+    maxNodesPerColumn: 0,
+    otherLabel: 'Other',
+    dragNodes: false,
+    dragAcrossColumns: false,
+    accessibility: {
+      enabled: true,
+      focusColor: 'rgba(0, 95, 204, 1)',
+      focusWidth: 2,
+      announce: true,
+      table: true
+    },
+    imbalance: {
+      display: false,
+      length: 40,
+      showLabel: true,
+      loss: { label: 'Loss', color: 'rgba(255, 99, 132, 0.5)' },
+      gain: { label: 'Unaccounted', color: 'rgba(201, 203, 207, 0.8)' }
+    },
+    nodeTooltip: {
+      enabled: true,
+      topFlows: 3,
+      callbacks: {}
+    },
     labels: {
       display: true,
       font: { size: 12, family: 'sans-serif' },
       color: 'rgba(0, 0, 0, 1)',
       padding: 5,
       position: 'auto',
+      rotation: 0,
+      showValue: false,
+      reserveSpace: false,
+      overlap: null,
       formatter: null
     },
     flowLabels: {
@@ -386,21 +1748,81 @@ export class SankeyController extends DatasetController {
     }
   };
 
+  static descriptors = {
+    _scriptable: (name) => !name.startsWith('on') && !callbackOptions.has(name),
+    _indexable: false,
+    labels: {
+      _scriptable: (name) => !callbackOptions.has(name),
+      _indexable: false
+    },
+    flowLabels: {
+      _scriptable: (name) => !callbackOptions.has(name),
+      _indexable: false
+    },
+    accessibility: {
+      _scriptable: false,
+      _indexable: false
+    },
+    nodeTooltip: {
+      _scriptable: false,
+      _indexable: false
+    }
+  };
+
   static overrides = {
     interaction: {
-      mode: 'point',
+      mode: 'sankey',
       intersect: true
     },
     plugins: {
-      legend: { display: false },
+      legend: {
+        display: false,
+        labels: {
+          // One entry per node (or node category) of every sankey dataset
+          generateLabels(chart) {
+            const items = [];
+            const seen = new Set();
+            for (const meta of chart.getSortedVisibleDatasetMetas()) {
+              if (meta.type !== 'sankey') continue;
+              const merged = chart.options.datasetLayout === 'merged';
+              for (const item of meta.controller.getLegendItems()) {
+                const key = item.nodeId != null ? `node:${item.nodeId}` : `category:${item.category}`;
+                if (merged && seen.has(key)) continue;
+                seen.add(key);
+                items.push(item);
+              }
+            }
+            return items;
+          }
+        },
+        onClick(event, item, legend) {
+          const meta = legend.chart.getDatasetMeta(item.datasetIndex);
+          if (meta.type === 'sankey') meta.controller._toggleLegendItem(item);
+        }
+      },
       tooltip: {
         enabled: true,
         callbacks: {
-          title() { return ''; },
+          // Nodes and imbalance stubs bring their own lines, see _tooltipContent()
+          title(items) {
+            const content = items.length > 0 ? sankeyTooltipContent(items[0]) : null;
+            return content ? content.title : '';
+          },
           label(item) {
-            const dp = item.raw;
-            if (!dp) return '';
-            return `${dp.from} \u2192 ${dp.to}: ${dp.flow}`;
+            const content = sankeyTooltipContent(item);
+            if (content) return content.body;
+            if (!item.raw) return '';
+            // item.label / formattedValue come from getLabelAndValue (display labels)
+            return `${item.label}: ${item.formattedValue}`;
+          },
+          labelColor(item) {
+            const content = sankeyTooltipContent(item);
+            if (!content) return Tooltip.defaults.callbacks.labelColor.call(this, item);
+            return { borderColor: content.color, backgroundColor: content.color, borderWidth: 0, borderRadius: 0 };
+          },
+          footer(items) {
+            const content = items.length > 0 ? sankeyTooltipContent(items[0]) : null;
+            return content ? content.footer : [];
           }
         }
       }
@@ -408,7 +1830,12 @@ export class SankeyController extends DatasetController {
     scales: {
       x: { display: false },
       y: { display: false }
-    }
+    },
+    // How several sankey datasets share the chart area: 'overlay' (each over the
+    // whole area), 'stacked' (one above the other), 'side-by-side' or 'merged'
+    // (one shared node set)
+    datasetLayout: 'overlay',
+    datasetGap: 20
   };
 
   initialize() {
@@ -416,134 +1843,863 @@ export class SankeyController extends DatasetController {
     super.initialize();
     this._bindClickHandler();
     this._bindMouseTracker();
+    this._bindKeyboardHandler();
+    this._bindDragHandler();
+    if (this.options.labels.reserveSpace) addLabelSpace(this.chart);
+  }
+
+  destroy() {
+    if (this._clickHandler) {
+      this.chart.canvas.removeEventListener('click', this._clickHandler);
+      this.chart._sankeyClickBound = false;
+    }
+    if (this._mouseMoveHandler) {
+      this.chart.canvas.removeEventListener('mousemove', this._mouseMoveHandler);
+      this.chart.canvas.removeEventListener('mouseleave', this._mouseLeaveHandler);
+      this.chart._sankeyMouseBound = false;
+    }
+    if (this._keyDownHandler) {
+      this.chart.canvas.removeEventListener('keydown', this._keyDownHandler);
+      this.chart.canvas.removeEventListener('blur', this._blurHandler);
+      this.chart._sankeyKeyBound = false;
+      this.chart._sankeyFocus = null;
+    }
+    if (this._dragStartHandler) {
+      this.chart.canvas.removeEventListener('mousedown', this._dragStartHandler);
+      this.chart._sankeyDragBound = false;
+    }
+    const a11y = this.chart._sankeyA11y;
+    if (a11y) {
+      const table = a11y.querySelector(`[data-sankey-dataset="${this.index}"]`);
+      if (table) table.remove();
+      if (this._keyDownHandler) {
+        a11y.remove();
+        this.chart._sankeyA11y = null;
+      }
+    }
+    removeLabelSpace(this.chart, this);
+    super.destroy();
+  }
+
+  _bindClickHandler() {
+    if (this.chart._sankeyClickBound) return;
+    this.chart._sankeyClickBound = true;
+
+    const canvas = this.chart.canvas;
+    this._clickHandler = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      // Use CSS pixel coordinates (Chart.js positions are in CSS pixels, not device pixels)
+      const mouseX = event.clientX - rect.left;
+      const mouseY = event.clientY - rect.top;
+      this._handleClick(mouseX, mouseY, event);
+    };
+    canvas.addEventListener('click', this._clickHandler);
+  }
+
+  _bindMouseTracker() {
+    if (this.chart._sankeyMouseBound) return;
+    this.chart._sankeyMouseBound = true;
+
+    const chart = this.chart;
+    const canvas = chart.canvas;
+    this._mouseMoveHandler = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      // Use CSS pixel coordinates (Chart.js positions are in CSS pixels, not device pixels)
+      const x = event.clientX - rect.left;
+      const y = event.clientY - rect.top;
+
+      // Find which node or stub the mouse is over, and in which dataset
+      const target = sankeyTargetAt(chart, x, y);
+      const hoveredNodeId = target ? target.nodeId : null;
+      const hoveredStub = target ? target.stub : null;
+      const hoveredDatasetIndex = target ? target.datasetIndex : null;
+
+      const prev = chart._sankeyMouse;
+      const prevNode = prev ? prev.hoveredNodeId : null;
+      const prevStub = prev ? prev.hoveredStub : null;
+      const prevDataset = prev ? prev.hoveredDatasetIndex : null;
+      chart._sankeyMouse = { x, y, hoveredNodeId, hoveredDatasetIndex, hoveredStub };
+
+      // Redraw when the hovered node or stub changes
+      if (hoveredNodeId !== prevNode || hoveredStub !== prevStub || hoveredDatasetIndex !== prevDataset) {
+        chart.draw();
+      }
+    };
+    this._mouseLeaveHandler = () => {
+      const prev = chart._sankeyMouse;
+      chart._sankeyMouse = null;
+      if (prev && (prev.hoveredNodeId || prev.hoveredStub)) {
+        chart.draw();
+      }
+    };
+    canvas.addEventListener('mousemove', this._mouseMoveHandler);
+    canvas.addEventListener('mouseleave', this._mouseLeaveHandler);
+  }
+
+  _handleClick(mouseX, mouseY, event) {
+    // The click that ends a drag is not a click on the node
+    if (this.chart._sankeySuppressClick) {
+      this.chart._sankeySuppressClick = false;
+      return;
+    }
+
+    // Iterate all visible sankey datasets on this chart
+    for (const meta of this._sankeyMetas()) {
+      const controller = meta.controller;
+      const { onFlowClick, onNodeClick } = controller.options;
+
+      // Check flows
+      if (typeof onFlowClick === 'function') {
+        for (let i = meta.data.length - 1; i >= 0; i--) {
+          if (meta.data[i].inRange(mouseX, mouseY)) {
+            onFlowClick(controller._clickedFlow(i), event);
+            return;
+          }
+        }
+        const stubKey = controller._stubAt(mouseX, mouseY);
+        if (stubKey) {
+          onFlowClick(controller._stubDataPoint(controller._imbalanceElements.get(stubKey).stub), event);
+          return;
+        }
+      }
+
+      // Check nodes: collapsible nodes toggle, then onNodeClick fires
+      if (controller._nodePositions) {
+        for (const [nodeId, pos] of controller._nodePositions) {
+          if (mouseX >= pos.x && mouseX <= pos.x + pos.width &&
+              mouseY >= pos.y && mouseY <= pos.y + pos.height) {
+            const node = controller._nodes ? controller._nodes.get(nodeId) : null;
+            const toggled = controller.toggleNode(nodeId);
+            if (typeof onNodeClick === 'function') onNodeClick(nodeId, node, event);
+            if (toggled || typeof onNodeClick === 'function') return;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Node dragging: mousedown on a node of a dataset with `dragNodes` starts a drag,
+   * the layout re-runs on every move so flows follow, and the drop is kept as an
+   * override and reported through onNodeDragEnd.
+   */
+  _bindDragHandler() {
+    if (this.chart._sankeyDragBound) return;
+    this.chart._sankeyDragBound = true;
+
+    const chart = this.chart;
+    const canvas = chart.canvas;
+    const target = canvas.ownerDocument || canvas;
+    const pointer = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      // Use CSS pixel coordinates (Chart.js positions are in CSS pixels, not device pixels)
+      return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    };
+
+    const onMove = (event) => {
+      const drag = chart._sankeyDrag;
+      if (!drag) return;
+      const { x, y } = pointer(event);
+      if (!drag.moved && Math.hypot(x - drag.startX, y - drag.startY) < 3) return;
+      drag.moved = true;
+      drag.controller._dragPosition = {
+        nodeId: drag.nodeId,
+        x: drag.originX + x - drag.startX,
+        y: drag.originY + y - drag.startY
+      };
+      chart.update('none');
+    };
+    const onUp = () => {
+      const drag = chart._sankeyDrag;
+      target.removeEventListener('mousemove', onMove);
+      target.removeEventListener('mouseup', onUp);
+      chart._sankeyDrag = null;
+      canvas.style.cursor = '';
+      if (drag && drag.moved) {
+        chart._sankeySuppressClick = true;
+        drag.controller._endDrag(drag.nodeId);
+      }
+    };
+
+    this._dragStartHandler = (event) => {
+      const { x, y } = pointer(event);
+      for (const meta of this._sankeyMetas()) {
+        const ctrl = meta.controller;
+        if (!ctrl._nodePositions || !ctrl.options.dragNodes) continue;
+        for (const [nodeId, pos] of ctrl._nodePositions) {
+          if (x >= pos.x && x <= pos.x + pos.width &&
+              y >= pos.y && y <= pos.y + pos.height) {
+            chart._sankeyDrag = {
+              controller: ctrl,
+              nodeId,
+              startX: x,
+              startY: y,
+              originX: pos.x,
+              originY: pos.y,
+              moved: false
+            };
+            canvas.style.cursor = 'grabbing';
+            target.addEventListener('mousemove', onMove);
+            target.addEventListener('mouseup', onUp);
+            event.preventDefault();
+            return;
+          }
+        }
+      }
+    };
+    canvas.addEventListener('mousedown', this._dragStartHandler);
+  }
+
+  /**
+   * Turn the dropped node's pixel position into a column and a relative position,
+   * keep it as an override and report it.
+   */
+  _endDrag(nodeId) {
+    const drag = this._dragPosition;
+    const pos = this._nodePositions.get(nodeId);
+    this._dragPosition = null;
+    if (!drag || !pos) return;
+
+    const isVertical = this._orientation === 'vertical';
+    const area = this._layoutArea;
+    const size = isVertical ? pos.width : pos.height;
+    const nodeCoord = isVertical ? pos.x : pos.y;
+    const position = area.nodeLength > 0
+      ? Math.min(1, Math.max(0, (nodeCoord + size / 2 - area.nodeStart) / area.nodeLength))
+      : 0.5;
+    let column = this._levels.get(nodeId) ?? 0;
+    if (this.options.dragAcrossColumns && area.levelCount > 1 && area.levelSpacing > 0) {
+      const levelCoord = isVertical ? pos.y : pos.x;
+      column = Math.round((levelCoord - area.levelStart) / area.levelSpacing);
+      column = Math.min(area.levelCount - 1, Math.max(0, column));
+    }
+
+    const override = { position };
+    if (this.options.dragAcrossColumns) override.column = column;
+    if (!this._nodeOverrides) this._nodeOverrides = new Map();
+    this._nodeOverrides.set(nodeId, override);
+
+    const { onNodeDragEnd } = this.options;
+    if (typeof onNodeDragEnd === 'function') {
+      onNodeDragEnd(nodeId, { column, position, x: pos.x, y: pos.y });
+    }
+    this.chart.update();
+  }
+
+  /**
+   * The `nodes` records with dropped positions merged in, for the layout.
+   * @param {Map<string, number>} [groupLevels] - Columns kept by small-flow grouping
+   */
+  _nodeLayoutConfig(groupLevels = this._groupLevels || new Map()) {
+    const nodeConfig = this.getDataset().nodes;
+    if ((!this._nodeOverrides || this._nodeOverrides.size === 0) && groupLevels.size === 0) return nodeConfig;
+    const merged = { ...nodeConfig };
+    // With grouping, nodes keep the columns they had before flows were re-routed
+    // into "Other" nodes, and each "Other" node the column it stands for
+    for (const [id, level] of groupLevels) {
+      merged[id] = { column: level, ...merged[id] };
+    }
+    for (const [id, override] of this._nodeOverrides || []) {
+      merged[id] = { ...merged[id], ...override };
+    }
+    return merged;
+  }
+
+  /**
+   * Apply `minFlow` / `maxNodesPerColumn` grouping and `mergeDuplicates` to
+   * index-aligned flows. Columns are taken from a layout of the flows as given.
+   * @returns {{data: Array, others: Map, groupLevels: Map<string, number>}}
+   */
+  _groupFlows(data) {
+    const { minFlow, maxNodesPerColumn, mergeDuplicates, nodeAlign } = this.options;
+    let result = data;
+    let others = new Map();
+    const groupLevels = new Map();
+    if (minFlow > 0 || maxNodesPerColumn > 0) {
+      const valid = data.filter(isValidFlow);
+      const levels = assignNodeLevels(valid, buildNodes(valid), this._nodeLayoutConfig(new Map()), nodeAlign);
+      const expanded = [...(this._collapseState || [])]
+        .filter(([id, collapsed]) => isOtherNode(id) && !collapsed)
+        .map(([id]) => id);
+      ({ data: result, others } = groupSmallFlows(data, levels, { minFlow, maxNodesPerColumn, expanded }));
+      if (others.size > 0) {
+        for (const [id, level] of levels) groupLevels.set(id, level);
+        for (const [id, group] of others) groupLevels.set(id, group.level);
+      }
+    }
+    if (mergeDuplicates) result = mergeDuplicateFlows(result);
+    return { data: result, others, groupLevels };
+  }
+
+  /**
+   * Forget positions dropped by dragging and go back to the configured layout.
+   */
+  resetNodePositions() {
+    this._nodeOverrides = null;
+    this.chart.update();
+  }
+
+  /**
+   * Place nodes with a `position` (0-1 along the node axis, at the node's center)
+   * and the node being dragged, then push the other nodes of their columns out
+   * of the way.
+   */
+  _applyNodeOverrides(positions) {
+    const isVertical = this._orientation === 'vertical';
+    const nodeKey = isVertical ? 'x' : 'y';
+    const levelKey = isVertical ? 'y' : 'x';
+    const sizeKey = isVertical ? 'width' : 'height';
+    const levelSizeKey = isVertical ? 'height' : 'width';
+    const { nodeStart, nodeLength, levelStart, levelLength } = this._layoutArea;
+    const { nodeWidth, nodePadding } = this.options;
+    const clampNode = (pos, value) => Math.min(Math.max(value, nodeStart), nodeStart + nodeLength - pos[sizeKey]);
+    const nodeConfig = this._layoutNodeConfig || {};
+    const moved = [];
+
+    for (const [id, pos] of positions) {
+      const position = nodeConfig[id]?.position;
+      if (typeof position === 'number' && isFinite(position)) {
+        pos[nodeKey] = clampNode(pos, nodeStart + position * nodeLength - pos[sizeKey] / 2);
+        moved.push(pos);
+      }
+    }
+
+    // Merged datasets follow a node dragged in any of them
+    const dragging = [this, ...this._layoutPeers].find(ctrl => ctrl._dragPosition);
+    const drag = dragging && dragging._dragPosition;
+    const pos = drag && positions.get(drag.nodeId);
+    if (pos) {
+      pos[nodeKey] = clampNode(pos, drag[nodeKey]);
+      if (this.options.dragAcrossColumns) {
+        pos[levelKey] = Math.min(Math.max(drag[levelKey], levelStart), levelStart + levelLength - nodeWidth);
+      }
+      moved.push(pos);
+    }
+
+    // The column is every node overlapping the moved node along the level axis,
+    // which also catches a node dragged between two columns. Its other nodes
+    // make room on either side of the moved node; when one side has no room
+    // left the whole column is packed instead.
+    const end = nodeStart + nodeLength;
+    for (const target of moved) {
+      const center = target[nodeKey] + target[sizeKey] / 2;
+      const before = [];
+      const after = [];
+      for (const other of positions.values()) {
+        if (other === target || other[levelKey] >= target[levelKey] + target[levelSizeKey] ||
+            other[levelKey] + other[levelSizeKey] <= target[levelKey]) continue;
+        const entry = { pos: other[nodeKey], size: other[sizeKey], other };
+        (entry.pos + entry.size / 2 < center ? before : after).push(entry);
+      }
+      const afterStart = target[nodeKey] + target[sizeKey] + nodePadding;
+      resolveCollisions(before, nodePadding, nodeStart, target[nodeKey] - nodePadding);
+      resolveCollisions(after, nodePadding, afterStart, end);
+      const column = [...before, { pos: target[nodeKey], size: target[sizeKey], other: target }, ...after];
+      if ((before.length > 0 && before[0].pos < nodeStart) ||
+          (after.length > 0 && after[0].pos < afterStart)) {
+        resolveCollisions(column, nodePadding, nodeStart, end);
+      }
+      for (const { pos: value, other } of column) other[nodeKey] = value;
+    }
+  }
+
+  _bindKeyboardHandler() {
+    if (this.chart._sankeyKeyBound) return;
+    if (!this.options.accessibility.enabled) return;
+    this.chart._sankeyKeyBound = true;
+
+    const chart = this.chart;
+    const canvas = chart.canvas;
+    if (canvas.setAttribute && !canvas.hasAttribute('tabindex')) {
+      canvas.setAttribute('tabindex', '0');
+    }
+    if (canvas.setAttribute && !canvas.hasAttribute('aria-roledescription')) {
+      canvas.setAttribute('aria-roledescription', 'Sankey diagram');
+    }
+
+    this._keyDownHandler = (event) => this._handleKeyDown(event);
+    this._blurHandler = () => {
+      if (chart._sankeyFocus) {
+        chart._sankeyFocus = null;
+        chart.draw();
+      }
+    };
+    canvas.addEventListener('keydown', this._keyDownHandler);
+    canvas.addEventListener('blur', this._blurHandler);
+  }
+
+  /**
+   * Keyboard navigation across all sankey datasets on the chart, with one
+   * focused item inside the canvas (Tab and Shift+Tab move on out of it):
+   * - arrows along the flow direction move from a node to its flows and from a flow to its nodes
+   * - arrows across the flow direction move to the neighboring node or sibling flow
+   * - PageDown / PageUp step through every node, then every flow; Home / End go to the first / last
+   * - Enter / Space trigger onNodeClick / onFlowClick, Escape clears focus
+   */
+  _handleKeyDown(event) {
+    const chart = this.chart;
+    const focus = chart._sankeyFocus;
+    const items = this._focusableItems();
+    if (items.length === 0) return;
+
+    let next;
+    if (event.key === 'Escape') {
+      this._setFocus(null);
+      return;
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      if (!focus) return;
+      this._activateFocus(focus, event);
+    } else if (event.key.startsWith('Arrow')) {
+      next = focus ? this._moveFocus(focus, event.key) : items[0];
+    } else if (event.key === 'PageDown' || event.key === 'PageUp') {
+      const idx = focus ? items.findIndex(item => sameFocus(item, focus)) : -1;
+      const step = event.key === 'PageDown' ? 1 : -1;
+      next = idx === -1 ? items[step > 0 ? 0 : items.length - 1] : items[(idx + step + items.length) % items.length];
+    } else if (event.key === 'Home' || event.key === 'End') {
+      next = items[event.key === 'Home' ? 0 : items.length - 1];
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    if (next) this._setFocus(next);
+  }
+
+  /**
+   * Focus targets in PageDown order: nodes by column and position, then flows by data index.
+   */
+  _focusableItems() {
+    const nodes = [];
+    const flows = [];
+    for (const meta of this._sankeyMetas()) {
+      const ctrl = meta.controller;
+      if (!ctrl._nodePositions) continue;
+      for (const ids of ctrl._drawsNodes() ? ctrl._columnOrder().values() : []) {
+        for (const id of ids) nodes.push({ datasetIndex: meta.index, kind: 'node', id });
+      }
+      meta.data.forEach((el, index) => {
+        if (el.x != null && el.x2 != null && ctrl._flowData[index]) {
+          flows.push({ datasetIndex: meta.index, kind: 'flow', index });
+        }
+      });
+    }
+    return nodes.concat(flows);
+  }
+
+  /**
+   * Node IDs per level, sorted along the node axis.
+   */
+  _columnOrder() {
+    const isVertical = this._orientation === 'vertical';
+    const columns = groupByLevel(this._levels || new Map());
+    const axisPos = id => {
+      const pos = this._nodePositions.get(id);
+      return pos ? (isVertical ? pos.x : pos.y) : 0;
+    };
+    const sorted = new Map([...columns.keys()].sort((a, b) => a - b).map(level => [
+      level,
+      columns.get(level).filter(id => this._nodePositions.has(id)).sort((a, b) => axisPos(a) - axisPos(b))
+    ]));
+    return sorted;
+  }
+
+  /**
+   * Flow indices attached to a node, sorted along the node face.
+   * @param {string} side - 'from' for outgoing flows, 'to' for incoming flows
+   */
+  _attachedFlows(nodeId, side) {
+    const meta = this._cachedMeta;
+    const isVertical = this._orientation === 'vertical';
+    const key = side === 'from' ? (isVertical ? 'x' : 'y') : (isVertical ? 'x2' : 'y2');
+    const indices = [];
+    meta.data.forEach((el, index) => {
+      if (el.x != null && el.x2 != null && this._flowData[index] && el[side] === nodeId) indices.push(index);
+    });
+    return indices.sort((a, b) => meta.data[a][key] - meta.data[b][key]);
   }
 
-  destroy() {
-    if (this._clickHandler) {
-      this.chart.canvas.removeEventListener('click', this._clickHandler);
-      this.chart._sankeyClickBound = false;
+  _moveFocus(focus, key) {
+    const ctrl = this.chart.getDatasetMeta(focus.datasetIndex).controller;
+    const isVertical = ctrl._orientation === 'vertical';
+    const downstream = isVertical ? 'ArrowDown' : 'ArrowRight';
+    const upstream = isVertical ? 'ArrowUp' : 'ArrowLeft';
+    const nextSibling = isVertical ? 'ArrowRight' : 'ArrowDown';
+    const step = key === nextSibling ? 1 : -1;
+    const wrap = (list, idx) => list[(idx + step + list.length) % list.length];
+    const datasetIndex = focus.datasetIndex;
+
+    if (focus.kind === 'node') {
+      if (key === downstream || key === upstream) {
+        const side = key === downstream ? 'from' : 'to';
+        const [index] = ctrl._attachedFlows(focus.id, side);
+        return index != null ? { datasetIndex, kind: 'flow', index, via: side } : null;
+      }
+      const level = ctrl._levels.get(focus.id);
+      const column = ctrl._columnOrder().get(level) || [];
+      const id = wrap(column, column.indexOf(focus.id));
+      return id != null ? { datasetIndex, kind: 'node', id } : null;
     }
-    if (this._mouseMoveHandler) {
-      this.chart.canvas.removeEventListener('mousemove', this._mouseMoveHandler);
-      this.chart.canvas.removeEventListener('mouseleave', this._mouseLeaveHandler);
-      this.chart._sankeyMouseBound = false;
+
+    const el = ctrl._cachedMeta.data[focus.index];
+    if (!el) return null;
+    if (key === downstream) return { datasetIndex, kind: 'node', id: el.to };
+    if (key === upstream) return { datasetIndex, kind: 'node', id: el.from };
+    // Siblings share the node the flow was entered from
+    const via = focus.via || 'from';
+    const siblings = ctrl._attachedFlows(el[via], via);
+    const index = wrap(siblings, siblings.indexOf(focus.index));
+    return index != null ? { datasetIndex, kind: 'flow', index, via } : null;
+  }
+
+  _activateFocus(focus, event) {
+    const ctrl = this.chart.getDatasetMeta(focus.datasetIndex).controller;
+    const { onFlowClick, onNodeClick } = ctrl.options;
+    if (focus.kind === 'node') {
+      const node = ctrl.getNode(focus.id);
+      ctrl.toggleNode(focus.id);
+      if (typeof onNodeClick === 'function') onNodeClick(focus.id, node, event);
+    } else if (focus.kind === 'flow' && typeof onFlowClick === 'function') {
+      onFlowClick(ctrl._clickedFlow(focus.index), event);
     }
-    super.destroy();
   }
 
-  _bindClickHandler() {
-    if (this.chart._sankeyClickBound) return;
-    this.chart._sankeyClickBound = true;
+  _setFocus(focus) {
+    const chart = this.chart;
+    chart._sankeyFocus = focus;
+    chart.draw();
 
-    const canvas = this.chart.canvas;
-    this._clickHandler = (event) => {
-      const rect = canvas.getBoundingClientRect();
-      // Use CSS pixel coordinates (Chart.js positions are in CSS pixels, not device pixels)
-      const mouseX = event.clientX - rect.left;
-      const mouseY = event.clientY - rect.top;
-      this._handleClick(mouseX, mouseY, event);
-    };
-    canvas.addEventListener('click', this._clickHandler);
+    if (!focus) return;
+    const ctrl = chart.getDatasetMeta(focus.datasetIndex).controller;
+    if (ctrl.options.accessibility.announce) {
+      this._announce(ctrl._describeFocus(focus));
+    }
   }
 
-  _bindMouseTracker() {
-    if (this.chart._sankeyMouseBound) return;
-    this.chart._sankeyMouseBound = true;
+  /**
+   * Text read out for a focused node or flow.
+   */
+  _describeFocus(focus) {
+    if (focus.kind === 'node') {
+      const node = this.getNode(focus.id);
+      if (!node) return '';
+      return `${this.getNodeLabel(focus.id)}: incoming ${this.formatValue(node.incoming)}, outgoing ${this.formatValue(node.outgoing)}`;
+    }
+    const { label, value } = this.getLabelAndValue(focus.index);
+    return `${label}: ${value}`;
+  }
 
+  /**
+   * Visually hidden container next to the canvas holding the live region and
+   * the per-dataset tables. Created on first use; null without a DOM.
+   */
+  _accessibilityContainer() {
     const chart = this.chart;
+    if (chart._sankeyA11y) return chart._sankeyA11y;
     const canvas = chart.canvas;
-    this._mouseMoveHandler = (event) => {
-      const rect = canvas.getBoundingClientRect();
-      // Use CSS pixel coordinates (Chart.js positions are in CSS pixels, not device pixels)
-      const x = event.clientX - rect.left;
-      const y = event.clientY - rect.top;
-
-      // Find which node the mouse is over (across all sankey datasets)
-      let hoveredNodeId = null;
-      for (const meta of chart._metasets) {
-        if (meta.type !== 'sankey') continue;
-        const ctrl = meta.controller;
-        if (!ctrl._nodePositions) continue;
-        for (const [nodeId, pos] of ctrl._nodePositions) {
-          if (x >= pos.x && x <= pos.x + pos.width &&
-              y >= pos.y && y <= pos.y + pos.height) {
-            hoveredNodeId = nodeId;
-            break;
-          }
-        }
-        if (hoveredNodeId) break;
-      }
+    const doc = canvas && canvas.ownerDocument;
+    if (!doc || !canvas.parentNode) return null;
 
-      const prev = chart._sankeyMouse;
-      const prevNode = prev && prev.hoveredNodeId;
-      chart._sankeyMouse = { x, y, hoveredNodeId };
+    const container = doc.createElement('div');
+    container.id = `sankey-a11y-${chart.id}`;
+    visuallyHide(container);
+    const live = doc.createElement('div');
+    live.setAttribute('aria-live', 'polite');
+    live.setAttribute('data-sankey-live', '');
+    container.appendChild(live);
+    canvas.parentNode.insertBefore(container, canvas.nextSibling);
+    canvas.setAttribute('aria-describedby', container.id);
+    chart._sankeyA11y = container;
+    return container;
+  }
 
-      // Redraw when the hovered node changes
-      if (hoveredNodeId !== prevNode) {
-        chart.draw();
-      }
-    };
-    this._mouseLeaveHandler = () => {
-      const prev = chart._sankeyMouse;
-      chart._sankeyMouse = null;
-      if (prev && prev.hoveredNodeId) {
-        chart.draw();
-      }
-    };
-    canvas.addEventListener('mousemove', this._mouseMoveHandler);
-    canvas.addEventListener('mouseleave', this._mouseLeaveHandler);
+  _announce(text) {
+    const container = this._accessibilityContainer();
+    if (!container) return;
+    container.querySelector('[data-sankey-live]').textContent = text;
   }
 
-  _handleClick(mouseX, mouseY, event) {
-    // Iterate all sankey datasets on this chart
-    for (const meta of this.chart._metasets) {
-      if (meta.type !== 'sankey') continue;
-      const controller = meta.controller;
-      const dataset = controller.getDataset();
-      const data = dataset.data || [];
+  /**
+   * Rebuild the hidden table listing this dataset's nodes and flows with their values.
+   */
+  _updateAccessibleDescription() {
+    const { accessibility } = this.options;
+    if (!accessibility.enabled || !accessibility.table) return;
+    const container = this._accessibilityContainer();
+    if (!container) return;
 
-      // Check flows
-      if (typeof dataset.onFlowClick === 'function') {
-        for (let i = meta.data.length - 1; i >= 0; i--) {
-          if (meta.data[i].inRange(mouseX, mouseY)) {
-            dataset.onFlowClick(data[i], event);
-            return;
-          }
-        }
-      }
+    const doc = container.ownerDocument;
+    let table = container.querySelector(`[data-sankey-dataset="${this.index}"]`);
+    if (!table) {
+      table = doc.createElement('table');
+      table.setAttribute('data-sankey-dataset', String(this.index));
+      container.appendChild(table);
+    }
+    table.textContent = '';
 
-      // Check nodes
-      if (typeof dataset.onNodeClick === 'function' && controller._nodePositions) {
-        for (const [nodeId, pos] of controller._nodePositions) {
-          if (mouseX >= pos.x && mouseX <= pos.x + pos.width &&
-              mouseY >= pos.y && mouseY <= pos.y + pos.height) {
-            const node = controller._nodes ? controller._nodes.get(nodeId) : null;
-            dataset.onNodeClick(nodeId, node, event);
-            return;
-          }
-        }
+    const dataset = this.getDataset();
+    const flows = (this._flowData || []).filter(isValidFlow);
+    const caption = doc.createElement('caption');
+    const nodeCount = this._nodes ? this._nodes.size : 0;
+    caption.textContent = `${dataset.label ? dataset.label + ': ' : ''}Sankey diagram with ${nodeCount} nodes and ${flows.length} flows`;
+    table.appendChild(caption);
+
+    const addRow = (cells, header) => {
+      const row = doc.createElement('tr');
+      for (const text of cells) {
+        const cell = doc.createElement(header ? 'th' : 'td');
+        cell.textContent = String(text);
+        row.appendChild(cell);
       }
+      table.appendChild(row);
+    };
+
+    addRow(['Node', 'Incoming', 'Outgoing'], true);
+    for (const [id, node] of this._nodes || []) {
+      addRow([this.getNodeLabel(id), this.formatValue(node.incoming), this.formatValue(node.outgoing)]);
     }
+    addRow(['From', 'To', 'Flow'], true);
+    for (const dp of flows) {
+      addRow([this.getNodeLabel(dp.from), this.getNodeLabel(dp.to), this.formatValue(dp.flow)]);
+    }
+  }
+
+  /**
+   * Every row goes through parseObjectData(). Chart.js picks one parser for the
+   * whole range from the type of its first row, so a leading null or primitive
+   * row would otherwise send all rows through parsePrimitiveData().
+   */
+  parse(start, count) {
+    const meta = this._cachedMeta;
+    const data = this._data;
+    if (this._parsing === false) {
+      meta._parsed = data;
+    } else {
+      const parsed = this.parseObjectData(meta, data, start, count);
+      for (let i = 0; i < count; i++) meta._parsed[i + start] = parsed[i];
+    }
+    meta._sorted = false;
+  }
+
+  /**
+   * Flows carry no x/y values, so the hidden scales get nothing from this
+   * dataset (and never read the null rows kept by parse()).
+   */
+  getMinMax() {
+    return { min: Number.POSITIVE_INFINITY, max: Number.NEGATIVE_INFINITY };
   }
 
+  /**
+   * Read `from`, `to` and `flow` through the `parsing` keys (dot paths allowed).
+   * With the default keys the records are used as they are; otherwise the
+   * parsed entry is a copy of the record with the three fields filled in.
+   * Rows that are not objects parse to null.
+   */
   parseObjectData(meta, data, start, count) {
+    const { from = 'from', to = 'to', flow = 'flow' } = this._parsing || {};
+    const mapped = from !== 'from' || to !== 'to' || flow !== 'flow';
     const parsed = [];
     for (let i = start; i < start + count; i++) {
-      parsed.push(data[i] || {});
+      const item = data[i];
+      if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+        parsed.push(null);
+        continue;
+      }
+      parsed.push(mapped
+        ? { ...item, from: resolveKey(item, from), to: resolveKey(item, to), flow: resolveKey(item, flow) }
+        : item);
     }
     return parsed;
   }
 
-  getLabelAndValue(index) {
+  /**
+   * The flow onFlowClick gets for the flow element at `index`: the original
+   * record, or the flow as drawn when it was merged with duplicates (with its
+   * `records`), re-routed to an "Other" node or to a collapsed node.
+   */
+  _clickedFlow(index) {
+    const flow = (this._flowData || [])[index];
+    if (flow && flow !== this._parsedData()[index]) return flow;
+    return (this.getDataset().data || [])[index];
+  }
+
+  /**
+   * Flow data as parsed by parseObjectData(), index-aligned with `dataset.data`.
+   * Layout code reads flows from here; callbacks get the original records.
+   */
+  _parsedData() {
+    return this._cachedMeta._parsed || [];
+  }
+
+  /**
+   * Report problems in the data according to the `validation` mode: 'silent'
+   * only calls onDataError, 'warn' also logs them and 'strict' throws. Each
+   * set of problems is reported once, not again on every update.
+   */
+  _validateData() {
+    const { validation, onDataError } = this.options;
+    if (validation === 'silent' && typeof onDataError !== 'function') return;
     const data = this.getDataset().data || [];
+    const errors = validateFlows(this._parsedData())
+      .map(error => (error.index != null ? { ...error, raw: data[error.index] } : error));
+    const signature = errors.map(error => error.message).join('\n');
+    if (signature === this._dataErrorSignature) return;
+    this._dataErrorSignature = signature;
+    if (errors.length === 0) return;
+
+    if (typeof onDataError === 'function') onDataError(errors);
+    const summary = `Sankey dataset ${this.index}: ${errors.length} data problem(s)\n  ${errors.map(e => e.message).join('\n  ')}`;
+    if (validation === 'strict') {
+      // Report again on the next update instead of drawing bad data without a word
+      this._dataErrorSignature = undefined;
+      throw new Error(summary);
+    }
+    if (validation === 'warn') console.warn(summary);
+  }
+
+  getLabelAndValue(index) {
+    // Re-routed flows of collapsed nodes are labelled with their visible endpoints
+    const data = this._flowData || this.getDataset().data || [];
     const dp = data[index];
-    if (!dp) return { label: '', value: '' };
+    if (!dp) {
+      // Nodes and imbalance stubs shown by the tooltip, see _tooltipItem()
+      const target = this._tooltipTarget(index);
+      if (target && target.nodeId != null) {
+        const node = this.getNode(target.nodeId);
+        return { label: this.getNodeLabel(target.nodeId), value: this.formatValue(node ? node.value : 0) };
+      }
+      const content = target && this._stubTooltipContent(target.stub);
+      return content ? { label: content.title[0], value: content.body[0] } : { label: '', value: '' };
+    }
+    const merged = dp.records ? ` (${dp.records.length} records)` : '';
+    return {
+      label: `${this.getNodeLabel(dp.from)} \u2192 ${this.getNodeLabel(dp.to)}${merged}`,
+      value: this.formatValue(dp.flow) + this._percentSuffix(this.getFlowShares(index))
+    };
+  }
+
+  /**
+   * Format a value with the `valueFormat` option.
+   */
+  formatValue(value) {
+    return (this._formatters || createFormatters(null)).value(value);
+  }
+
+  /**
+   * Format a share (0.34) as a percentage ("34%") in the `valueFormat` locale.
+   */
+  formatPercent(share) {
+    return (this._formatters || createFormatters(null)).percent(share);
+  }
+
+  /**
+   * A flow's share of its source node's outflow, its target node's inflow and
+   * the total volume entering the diagram, as fractions.
+   */
+  getFlowShares(index) {
+    const dp = this._flowData && this._flowData[index];
+    if (!isValidFlow(dp)) return null;
+    const from = this._shareNodes.get(dp.from);
+    const to = this._shareNodes.get(dp.to);
+    const share = (value, whole) => (whole > 0 ? value / whole : 0);
     return {
-      label: `${dp.from} \u2192 ${dp.to}`,
-      value: String(dp.flow)
+      ofSource: share(dp.flow, from ? from.outgoing : 0),
+      ofTarget: share(dp.flow, to ? to.incoming : 0),
+      ofTotal: share(dp.flow, this._totalFlow)
     };
   }
 
+  /**
+   * A node's value as a fraction of the total volume entering the diagram.
+   */
+  getNodeShare(nodeId) {
+    const node = this.getNode(nodeId);
+    return node && this._totalFlow > 0 ? node.value / this._totalFlow : 0;
+  }
+
+  /**
+   * " (34%)" for the share picked by `percentOf`, or nothing.
+   */
+  _percentSuffix(shares) {
+    const key = shareKeys[this.options.percentOf];
+    return key && shares ? ` (${this.formatPercent(shares[key])})` : '';
+  }
+
+  /**
+   * Node record from the last layout, including metadata from the `nodes` option.
+   */
+  getNode(nodeId) {
+    return this._nodes ? this._nodes.get(nodeId) : undefined;
+  }
+
+  /**
+   * Display label for a node: the `label` from its `nodes` record, or its ID.
+   */
+  getNodeLabel(nodeId) {
+    const cfg = this.getDataset().nodes?.[nodeId];
+    if (cfg && cfg.label != null) return String(cfg.label);
+    return isOtherNode(nodeId) ? String(this.options.otherLabel) : nodeId;
+  }
+
+  /**
+   * Scriptable context for a node. Extends the dataset context, like Chart.js data contexts.
+   */
+  getNodeContext(nodeId, active = false) {
+    const index = this._nodeIndex?.get(nodeId) ?? -1;
+    return Object.assign(Object.create(this.getContext()), {
+      type: 'node',
+      node: nodeId,
+      raw: this.getNode(nodeId),
+      dataIndex: index,
+      index,
+      active: !!active,
+      mode: 'default'
+    });
+  }
+
+  /**
+   * Scriptable context for a flow. Extends the dataset context, like Chart.js data contexts.
+   */
+  getFlowContext(index, active = false) {
+    const data = this.getDataset().data || [];
+    return Object.assign(Object.create(this.getContext()), {
+      type: 'flow',
+      raw: data[index],
+      parsed: this._parsedData()[index],
+      element: this._cachedMeta.data[index],
+      dataIndex: index,
+      index,
+      active: !!active,
+      mode: 'default'
+    });
+  }
+
+  /**
+   * Options resolved for one node: chart-level `options.datasets.sankey`,
+   * Chart.defaults and scriptable options all apply.
+   */
+  _resolveNodeOptions(nodeId, active) {
+    return this.options.setContext(this.getNodeContext(nodeId, active));
+  }
+
+  /**
+   * Options resolved for one flow, see _resolveNodeOptions.
+   */
+  _resolveFlowOptions(index, active) {
+    return this.options.setContext(this.getFlowContext(index, active));
+  }
+
+  /**
+   * Only flows take hover styles; nodes and stubs found by the 'sankey'
+   * interaction mode are highlighted by the mouse tracker.
+   */
+  setHoverStyle(element, datasetIndex, index) {
+    if (index < this._cachedMeta.data.length) super.setHoverStyle(element, datasetIndex, index);
+  }
+
+  removeHoverStyle(element, datasetIndex, index) {
+    if (index < this._cachedMeta.data.length) super.removeHoverStyle(element, datasetIndex, index);
+  }
+
   update(mode) {
     const meta = this._cachedMeta;
     const dataset = this.getDataset();
@@ -551,46 +2707,125 @@ export class SankeyController extends DatasetController {
     this.updateElements(meta.data, 0, data.length, mode);
   }
 
-  updateElements(elements, start, count, mode) {
+  /**
+   * Flows and nodes the layout runs on: the flows left after hiding nodes,
+   * folding collapsed subtrees, grouping small flows into "Other" nodes and
+   * merging duplicates, with `total` the outflow of the source nodes. Only
+   * reads the controller's state, so it is safe to call for another dataset.
+   */
+  _buildGraph() {
     const dataset = this.getDataset();
-    const defaults = SankeyController.defaults;
-    const data = dataset.data || [];
+    const visible = this._visibleData();
+    const collapsed = collapseFlows(visible.data, this._collapsedNodeIds());
+    const { data, others, groupLevels } = this._groupFlows(collapsed.data);
+    const owners = collapsed.owners;
     const validData = data.filter(isValidFlow);
-    const orientation = dataset.orientation ?? defaults.orientation;
 
-    if (validData.length === 0) {
+    const nodes = buildNodes(validData, dataset.nodes);
+    let total = 0;
+    for (const node of nodes.values()) {
+      if (node.incoming === 0) total += node.outgoing;
+    }
+    if (owners.size > 0) {
+      // A collapsed node keeps the size of the subtree it stands for
+      const unfolded = buildNodes(this._parsedData().filter(isValidFlow), dataset.nodes);
+      for (const [id, owner] of owners) {
+        if (!nodes.has(owner)) nodes.set(owner, { ...unfolded.get(owner), incoming: 0, outgoing: 0 });
+        const node = nodes.get(owner);
+        node.value = unfolded.get(owner).value;
+        (node.children = node.children || []).push(id);
+      }
+    }
+    for (const [id, group] of others) {
+      if (nodes.has(id)) nodes.get(id).children = group.members;
+    }
+    for (const node of nodes.values()) {
+      if (this._isCollapsible(node.id)) node.collapsed = this.isNodeCollapsed(node.id);
+    }
+    return { data, owners, validData, nodes, total, excluded: visible.excluded, others, groupLevels };
+  }
+
+  updateElements(elements, start, count, mode) {
+    const dataset = this.getDataset();
+    const options = this.options;
+    this._validateData();
+    this._tooltipTargetList = null;
+    this._tooltipContentCache = null;
+    if (options.labels.reserveSpace) addLabelSpace(this.chart);
+    else removeLabelSpace(this.chart);
+    // Reuse the graph _labelExtents() built for this update's layout
+    const measured = this._measuredGraph;
+    this._measuredGraph = null;
+    const graph = measured ? measured.graph : this._buildGraph();
+    const { data, owners, validData } = graph;
+    const orientation = options.orientation;
+    this._flowData = data;
+    this._collapsedOwners = owners;
+    this._excludedNodes = graph.excluded;
+    this._otherNodes = graph.others;
+    this._groupLevels = graph.groupLevels;
+    this._formatters = createFormatters(options.valueFormat && { ...options.valueFormat });
+
+    let nodes = graph.nodes;
+    this._shareNodes = nodes;
+    this._totalFlow = graph.total > 0 ? graph.total : validData.reduce((sum, dp) => sum + dp.flow, 0);
+
+    const layout = measured ? measured.layout : this._layoutSource(validData, nodes);
+    nodes = layout.nodes;
+    this._layoutData = layout.data;
+    this._layoutNodeConfig = layout.nodeConfig;
+    this._layoutPeers = layout.peers;
+
+    if (nodes.size === 0) {
       this._nodePositions = new Map();
       this._nodes = new Map();
+      this._nodeIndex = new Map();
       this._levels = new Map();
       this._maxLevel = 0;
+      this._labelLayout = new Map();
       this._resolvedNodeColors = new Map();
+      this._circularLinks = new Set();
+      this._circularLayout = new Map();
+      this._updateNodeElements(this._nodePositions, mode);
+      this._updateImbalance(this._nodePositions, mode);
+      for (let i = start; i < start + count; i++) {
+        if (elements[i] && elements[i].x != null) {
+          this.updateElement(elements[i], i, { height: 0, height2: 0 }, mode);
+        }
+      }
+      this._updateAccessibleDescription();
       return;
     }
 
-    const nodes = buildNodes(validData);
-    const levels = assignNodeLevels(validData, nodes, dataset.nodes);
+    const levels = assignNodeLevels(layout.data, nodes, layout.nodeConfig, options.nodeAlign);
     const nodesByLevel = groupByLevel(levels);
-    reorderNodes(nodesByLevel, validData);
+    reorderNodes(nodesByLevel, layout.data);
+    this._circularLinks = findCircularLinks(layout.data, levels);
 
     this._nodes = nodes;
+    this._nodeIndex = new Map([...nodes.keys()].map((id, i) => [id, i]));
     this._levels = levels;
     this._maxLevel = Math.max(0, ...levels.values());
     this._orientation = orientation;
 
     // Resolve node colors for colorMode usage
     const resolvedColors = new Map();
-    let idx = 0;
-    for (const id of nodes.keys()) {
-      resolvedColors.set(id, resolveNodeColor(id, dataset, idx++));
+    const colorSource = layout.peers.length > 0 ? { ...dataset, nodes: layout.nodeConfig } : dataset;
+    // Hidden nodes keep a color for the legend
+    for (const id of new Set([...nodes.keys(), ...(this._hiddenNodes || [])])) {
+      const context = this.getNodeContext(id);
+      resolvedColors.set(id, resolveNodeColor(id, colorSource, options.setContext(context), context));
     }
     this._resolvedNodeColors = resolvedColors;
 
     const nodePositions = this._positionNodes(nodes, levels, nodesByLevel, orientation);
     this._nodePositions = nodePositions;
+    this._updateNodeElements(nodePositions, mode);
+    this._layoutLabels(nodePositions);
 
-    const colorMode = dataset.colorMode ?? defaults.colorMode;
-    const hoverColor = dataset.hoverColor ?? defaults.hoverColor;
+    const colorMode = options.colorMode;
     const flows = this._computeFlows(data, nodePositions, dataset, colorMode, orientation);
+    this._foldFlows(flows, nodePositions, orientation, elements);
 
     for (let i = start; i < start + count; i++) {
       const flow = flows[i];
@@ -606,25 +2841,515 @@ export class SankeyController extends DatasetController {
           colorMode,
           colorFrom: flow.colorFrom,
           colorTo: flow.colorTo,
-          hoverColor: flow.hoverColor || hoverColor,
+          hoverColor: flow.hoverColor,
+          borderColor: flow.borderColor,
+          borderWidth: flow.borderWidth,
+          borderDash: flow.borderDash,
+          hoverBorderColor: flow.hoverBorderColor,
+          hoverBorderWidth: flow.hoverBorderWidth,
+          hoverBorderDash: flow.hoverBorderDash,
+          pattern: flow.pattern,
+          hoverPattern: flow.hoverPattern,
+          linkShape: flow.linkShape,
+          curvature: flow.curvature,
+          arrowLength: flow.arrowLength,
           orientation,
+          circular: flow.circular,
+          loopPos: flow.loopPos,
+          legOffset: flow.legOffset,
           from: flow.from,
           to: flow.to
         }, mode);
       }
     }
+
+    this._updateImbalance(nodePositions, mode);
+    this._updateAccessibleDescription();
   }
 
-  _positionNodes(nodes, levels, nodesByLevel, orientation) {
-    const { chartArea } = this.chart;
+  /**
+   * Stub bands for the difference between a node's inflow and outflow: a loss
+   * leaves the free part of the outgoing face, a gain enters the free part of
+   * the incoming face. Only nodes with both inflows and outflows get stubs.
+   * Stubs are FlowElements kept outside the dataset's data, keyed by
+   * `<nodeId>:loss` / `<nodeId>:gain`, and animate like flows.
+   */
+  _updateImbalance(nodePositions, mode) {
+    if (!this._imbalanceElements) this._imbalanceElements = new Map();
+    const elements = this._imbalanceElements;
+    const cfg = this.options.imbalance;
+    const stubs = new Map();
+    if (cfg.display) {
+      const isVertical = this._orientation === 'vertical';
+      const length = cfg.length;
+      for (const [id, pos] of nodePositions) {
+        const node = this._shareNodes.get(id);
+        if (!node || node.incoming === 0 || node.outgoing === 0 || pos.value <= 0) continue;
+        const diff = node.incoming - node.outgoing;
+        if (Math.abs(diff) <= 1e-9 * Math.max(node.incoming, node.outgoing)) continue;
+        const type = diff > 0 ? 'loss' : 'gain';
+        const { label, color } = cfg[type];
+        const size = isVertical ? pos.width : pos.height;
+        const height = Math.abs(diff) / pos.value * size;
+        // Center of the stub along the face, after the flows attached there
+        const used = (type === 'loss' ? node.outgoing : node.incoming) / pos.value * size;
+        const along = (isVertical ? pos.x : pos.y) + used + height / 2;
+        const face = type === 'loss'
+          ? (isVertical ? pos.y + pos.height : pos.x + pos.width)
+          : (isVertical ? pos.y : pos.x);
+        // Losses bend away from the diagram as they leave, gains come in from outside it
+        const ends = type === 'loss'
+          ? { start: [along, face], end: [along + length / 2, face + length] }
+          : { start: [along + length / 2, face - length], end: [along, face] };
+        const point = ([a, f]) => (isVertical ? { x: a, y: f } : { x: f, y: a });
+        const start = point(ends.start);
+        const end = point(ends.end);
+        const transparent = adjustAlpha(color, 0);
+        stubs.set(`${id}:${type}`, {
+          props: {
+            x: start.x,
+            y: start.y,
+            x2: end.x,
+            y2: end.y,
+            height,
+            height2: height,
+            color,
+            colorMode: 'gradient',
+            colorFrom: type === 'loss' ? color : transparent,
+            colorTo: type === 'loss' ? transparent : color,
+            hoverColor: null,
+            orientation: this._orientation,
+            circular: false,
+            from: type === 'loss' ? id : null,
+            to: type === 'loss' ? null : id
+          },
+          stub: {
+            type,
+            node: id,
+            label,
+            value: Math.abs(diff),
+            share: Math.abs(diff) / (type === 'loss' ? node.incoming : node.outgoing)
+          }
+        });
+      }
+    }
+
+    for (const [key, { props, stub }] of stubs) {
+      let element = elements.get(key);
+      if (!element) {
+        element = new FlowElement();
+        Object.assign(element, props, { height: 0, height2: 0 });
+        elements.set(key, element);
+      }
+      element.stub = stub;
+      this.updateElement(element, undefined, props, mode);
+    }
+    for (const key of elements.keys()) {
+      if (!stubs.has(key)) elements.delete(key);
+    }
+  }
+
+  /**
+   * The stub as passed to onFlowClick: a flow from the node to nowhere (loss)
+   * or from nowhere into the node (gain).
+   */
+  _stubDataPoint(stub) {
+    return stub.type === 'loss'
+      ? { from: stub.node, to: null, flow: stub.value, imbalance: 'loss', label: stub.label }
+      : { from: null, to: stub.node, flow: stub.value, imbalance: 'gain', label: stub.label };
+  }
+
+  _stubAt(x, y) {
+    for (const [key, element] of this._imbalanceElements || []) {
+      if (element.height > 0 && element.inRange(x, y)) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Visible sankey datasets on the chart, in drawing order.
+   */
+  _sankeyMetas() {
+    return this.chart.getSortedVisibleDatasetMetas().filter(meta => meta.type === 'sankey');
+  }
+
+  /**
+   * The part of the chart area this dataset lays out in, per the chart's `datasetLayout`.
+   */
+  _layoutBox() {
+    const { chartArea, options } = this.chart;
     const { left, right, top, bottom } = chartArea;
+    const metas = this._sankeyMetas();
+    const slot = metas.indexOf(this._cachedMeta);
+    const mode = options.datasetLayout;
+    if (metas.length < 2 || slot === -1 || (mode !== 'stacked' && mode !== 'side-by-side')) {
+      return { left, right, top, bottom };
+    }
+
+    const count = metas.length;
+    const gap = options.datasetGap || 0;
+    if (mode === 'stacked') {
+      const size = (bottom - top - gap * (count - 1)) / count;
+      const start = top + slot * (size + gap);
+      return { left, right, top: start, bottom: start + size };
+    }
+    const size = (right - left - gap * (count - 1)) / count;
+    const start = left + slot * (size + gap);
+    return { left: start, right: start + size, top, bottom };
+  }
+
+  /**
+   * Flows, nodes and node records the layout is computed from. With the 'merged'
+   * dataset layout these cover every visible sankey dataset, in dataset order so
+   * all of them arrive at the same node positions. A shared node is sized by the
+   * largest of its per-dataset values; its totals stay this dataset's own.
+   */
+  _layoutSource(validData, nodes) {
+    const own = {
+      data: validData,
+      nodes,
+      nodeConfig: this._nodeLayoutConfig(),
+      peers: []
+    };
+    if (this.chart.options.datasetLayout !== 'merged') return own;
+    const metas = this._sankeyMetas().sort((a, b) => a.index - b.index);
+    if (metas.length < 2 || !metas.includes(this._cachedMeta)) return own;
+
+    const data = [];
+    const shared = new Map();
+    const nodeConfig = {};
+    const peers = [];
+    for (const meta of metas) {
+      const ctrl = meta.controller;
+      const isOwn = ctrl === this;
+      // Peers go through the same hiding, collapsing and grouping as their own update
+      const graph = isOwn ? null : ctrl._buildGraph();
+      const flows = isOwn ? validData : graph.validData;
+      const config = isOwn ? ctrl._nodeLayoutConfig() : ctrl._nodeLayoutConfig(graph.groupLevels);
+      const datasetNodes = isOwn ? nodes : graph.nodes;
+      if (!isOwn) peers.push(ctrl);
+      data.push(...flows);
+      Object.assign(nodeConfig, config);
+      for (const [id, node] of datasetNodes) {
+        const existing = shared.get(id);
+        if (isOwn) {
+          shared.set(id, { ...node, value: Math.max(node.value, existing ? existing.value : 0) });
+        } else if (existing) {
+          existing.value = Math.max(existing.value, node.value);
+        } else {
+          shared.set(id, { ...node, incoming: 0, outgoing: 0 });
+        }
+      }
+    }
+    return { data, nodes: shared, nodeConfig, peers };
+  }
+
+  /**
+   * Whether this dataset draws the nodes. Merged datasets share one set of nodes,
+   * drawn by the first of them.
+   */
+  _drawsNodes() {
+    if (this._layoutPeers && this._layoutPeers.length > 0) {
+      return this._layoutPeers.every(peer => peer.index > this.index);
+    }
+    return true;
+  }
+
+  /**
+   * Nodes are drawn from animated copies of their layout positions, so they move,
+   * resize and change color together with the flows. New nodes fade in, nodes that
+   * disappear fade out (into the collapsed node that holds them, if any).
+   */
+  _updateNodeElements(nodePositions, mode) {
+    if (!this._nodeElements) this._nodeElements = new Map();
+    const elements = this._nodeElements;
+    const colors = this._resolvedNodeColors;
+
+    for (const [id, pos] of nodePositions) {
+      const target = {
+        x: pos.x,
+        y: pos.y,
+        width: pos.width,
+        height: pos.height,
+        color: colors.get(id),
+        alpha: mode === 'reset' ? 0 : 1
+      };
+      let element = elements.get(id);
+      if (!element) {
+        element = new NodeElement({ ...target, alpha: 0, nodeId: id });
+        elements.set(id, element);
+      }
+      element.removed = false;
+      this.updateElement(element, undefined, target, mode);
+    }
+
+    for (const [id, element] of elements) {
+      if (nodePositions.has(id) || element.removed) continue;
+      element.removed = true;
+      const owner = this._nodePositions.get(this._collapsedOwners?.get(id));
+      const target = owner
+        ? {
+          x: owner.x + (owner.width - element.width) / 2,
+          y: owner.y + (owner.height - element.height) / 2,
+          alpha: 0
+        }
+        : { alpha: 0 };
+      this.updateElement(element, undefined, target, mode);
+    }
+  }
+
+  /**
+   * Folded-away flows shrink to nothing at the face of the collapsed node
+   * that holds them, so collapsing and expanding animate in and out of it.
+   */
+  _foldFlows(flows, nodePositions, orientation, elements) {
+    const isVertical = orientation === 'vertical';
+    const source = this._parsedData();
+    const owners = this._collapsedOwners;
+    for (let i = 0; i < flows.length; i++) {
+      const dp = source[i];
+      if (flows[i] || this._flowData[i] !== null || !isValidFlow(dp)) continue;
+      const owner = owners.get(dp.to) ?? owners.get(dp.from);
+      const pos = nodePositions.get(owner);
+      if (!pos) {
+        // Flows of hidden nodes shrink away where they are
+        const el = elements[i];
+        if (el && el.x != null) {
+          flows[i] = {
+            x: el.x, y: el.y, x2: el.x2, y2: el.y2,
+            height: 0,
+            height2: 0,
+            color: el.color,
+            colorFrom: el.colorFrom,
+            colorTo: el.colorTo,
+            hoverColor: null,
+            circular: el.circular,
+            loopPos: el.loopPos,
+            legOffset: el.legOffset,
+            from: dp.from,
+            to: dp.to,
+            value: dp.flow
+          };
+        }
+        continue;
+      }
+      const x = isVertical ? pos.x + pos.width / 2 : pos.x + pos.width;
+      const y = isVertical ? pos.y + pos.height : pos.y + pos.height / 2;
+      const color = this._resolvedNodeColors.get(owner);
+      flows[i] = {
+        x, y, x2: x, y2: y,
+        height: 0,
+        height2: 0,
+        color,
+        colorFrom: color,
+        colorTo: color,
+        hoverColor: null,
+        circular: false,
+        from: dp.from,
+        to: dp.to,
+        value: dp.flow
+      };
+    }
+  }
+
+  /**
+   * The dataset's flows with excluded ones replaced by null: flows rejected by
+   * `filter`, flows touching a hidden node or a node rejected by `nodeFilter`,
+   * and in focus mode flows outside the focused node's neighborhood.
+   * `excluded` holds the nodes left out by the filters or the focus (not hidden
+   * ones), so the legend can leave them out.
+   * @returns {{data: Array, excluded: Set<string>}}
+   */
+  _visibleData() {
+    const dataset = this.getDataset();
+    const data = this._parsedData();
+    const { filter, nodeFilter } = this.options;
+    const hidden = this._hiddenNodes || new Set();
+    const excluded = new Set();
+    const exclude = (result, isDropped) => result.map(dp => (
+      isValidFlow(dp) && (isDropped(dp.from) || isDropped(dp.to)) ? null : dp
+    ));
+
+    let result = typeof filter === 'function'
+      ? data.map((dp, i) => (!isValidFlow(dp) || filter(dp, i) ? dp : null))
+      : data;
+    if (typeof nodeFilter === 'function') {
+      for (const [id, node] of buildNodes(result.filter(isValidFlow), dataset.nodes)) {
+        if (!nodeFilter(id, node)) excluded.add(id);
+      }
+    }
+    if (hidden.size > 0 || excluded.size > 0) {
+      result = exclude(result, id => hidden.has(id) || excluded.has(id));
+    }
+
+    const focus = this._focusState !== undefined ? this._focusState : this.options.focus;
+    if (focus && focus.node != null) {
+      const valid = result.filter(isValidFlow);
+      const keep = findNeighborhood(valid, focus.node, focus.hops ?? 1);
+      result = exclude(result, id => !keep.has(id));
+    }
+
+    // Nodes left without flows are excluded too, unless they were hidden
+    const present = new Set();
+    for (const dp of result) {
+      if (!isValidFlow(dp)) continue;
+      present.add(dp.from);
+      present.add(dp.to);
+    }
+    for (const dp of data) {
+      if (!isValidFlow(dp)) continue;
+      for (const id of [dp.from, dp.to]) {
+        if (!present.has(id) && !hidden.has(id)) excluded.add(id);
+      }
+    }
+
+    return { data: result, excluded };
+  }
+
+  /**
+   * Show or hide a node together with its flows. The layout, node totals and
+   * columns are recomputed from the remaining flows; `dataset.data` is untouched.
+   */
+  setNodeVisibility(nodeId, visible) {
+    if (!this._hiddenNodes) this._hiddenNodes = new Set();
+    if (visible) this._hiddenNodes.delete(nodeId);
+    else this._hiddenNodes.add(nodeId);
+    this.chart.update();
+  }
+
+  isNodeVisible(nodeId) {
+    return !(this._hiddenNodes && this._hiddenNodes.has(nodeId))
+      && !(this._excludedNodes && this._excludedNodes.has(nodeId));
+  }
+
+  /**
+   * Keep only the nodes within `hops` flows of a node. Pass null to show everything
+   * again. Overrides the `focus` option.
+   */
+  focusNode(nodeId, hops = 1) {
+    this._focusState = nodeId == null ? null : { node: nodeId, hops };
+    this.chart.update();
+  }
+
+  /**
+   * Legend entries for this dataset: one per node, or one per node `category` with
+   * `legendItems: 'categories'`. Works before the first layout, so the legend can
+   * be sized; colors come from the last layout when there is one.
+   */
+  getLegendItems() {
+    const dataset = this.getDataset();
+    const nodeConfig = dataset.nodes || {};
+    const excluded = this._excludedNodes || new Set();
+    const ids = [...buildNodes(this._parsedData().filter(isValidFlow), nodeConfig).keys()]
+      .filter(id => !excluded.has(id));
+    const hidden = this._hiddenNodes || new Set();
+    const colorOf = (id) => {
+      const resolved = this._resolvedNodeColors && this._resolvedNodeColors.get(id);
+      if (resolved) return resolved;
+      const context = this.getNodeContext(id);
+      return resolveNodeColor(id, dataset, this.options.setContext(context), context);
+    };
+    const item = (text, color, isHidden, extra) => ({
+      text,
+      fillStyle: color,
+      strokeStyle: color,
+      lineWidth: 0,
+      hidden: isHidden,
+      datasetIndex: this.index,
+      ...extra
+    });
+
+    if (this.options.legendItems === 'categories') {
+      const categories = new Map();
+      for (const id of ids) {
+        const category = nodeConfig[id]?.category;
+        if (category == null) continue;
+        if (!categories.has(category)) categories.set(category, []);
+        categories.get(category).push(id);
+      }
+      return [...categories].map(([category, members]) => item(
+        String(category),
+        colorOf(members[0]),
+        members.every(id => hidden.has(id)),
+        { category }
+      ));
+    }
+    return ids.map(id => item(this.getNodeLabel(id), colorOf(id), hidden.has(id), { nodeId: id }));
+  }
+
+  /**
+   * Legend click: hide or show the entry's node, or every node in its category.
+   * Merged datasets share nodes, so they follow along.
+   */
+  _toggleLegendItem(item) {
+    const nodeConfig = this.getDataset().nodes || {};
+    const ids = item.nodeId != null
+      ? [item.nodeId]
+      : Object.keys(nodeConfig).filter(id => nodeConfig[id]?.category === item.category);
+    for (const ctrl of [this, ...(this._layoutPeers || [])]) {
+      if (!ctrl._hiddenNodes) ctrl._hiddenNodes = new Set();
+      for (const id of ids) {
+        if (item.hidden) ctrl._hiddenNodes.delete(id);
+        else ctrl._hiddenNodes.add(id);
+      }
+    }
+    this.chart.update();
+  }
+
+  _isCollapsible(nodeId) {
+    if (isOtherNode(nodeId)) return true;
+    const cfg = this.getDataset().nodes?.[nodeId];
+    return !!cfg && (cfg.collapsible === true || typeof cfg.collapsed === 'boolean');
+  }
+
+  /**
+   * Whether a collapsible node currently hides its downstream subtree.
+   * Starts from the `collapsed` flag of its `nodes` record.
+   */
+  isNodeCollapsed(nodeId) {
+    if (!this._isCollapsible(nodeId)) return false;
+    if (this._collapseState && this._collapseState.has(nodeId)) {
+      return this._collapseState.get(nodeId);
+    }
+    if (isOtherNode(nodeId)) return true;
+    return this.getDataset().nodes[nodeId].collapsed === true;
+  }
+
+  _collapsedNodeIds() {
+    const nodeConfig = this.getDataset().nodes || {};
+    return Object.keys(nodeConfig).filter(id => !isOtherNode(id) && this.isNodeCollapsed(id));
+  }
+
+  /**
+   * Collapse or expand a collapsible node and animate the chart to the new layout.
+   * @param {string} nodeId
+   * @param {boolean} [collapsed] - Target state; toggles when omitted
+   * @returns {boolean} Whether the state changed
+   */
+  toggleNode(nodeId, collapsed = !this.isNodeCollapsed(nodeId)) {
+    if (!this._isCollapsible(nodeId) || this.isNodeCollapsed(nodeId) === collapsed) return false;
+    if (!this._collapseState) this._collapseState = new Map();
+    this._collapseState.set(nodeId, collapsed);
+    const { onNodeToggle } = this.options;
+    if (typeof onNodeToggle === 'function') onNodeToggle(nodeId, collapsed);
+    this.chart.update();
+    return true;
+  }
+
+  collapseNode(nodeId) {
+    return this.toggleNode(nodeId, true);
+  }
+
+  expandNode(nodeId) {
+    return this.toggleNode(nodeId, false);
+  }
+
+  _positionNodes(nodes, levels, nodesByLevel, orientation) {
+    const { left, right, top, bottom } = this._layoutBox();
     const chartWidth = right - left;
     const chartHeight = bottom - top;
 
-    const dataset = this.getDataset();
-    const defaults = SankeyController.defaults;
-    const nodeWidth = dataset.nodeWidth ?? defaults.nodeWidth;
-    const nodePadding = dataset.nodePadding ?? defaults.nodePadding;
+    const { nodeWidth, nodePadding } = this.options;
     const isVertical = orientation === 'vertical';
 
     // In vertical mode: levels run top-to-bottom, nodes stack left-to-right
@@ -633,9 +3358,20 @@ export class SankeyController extends DatasetController {
 
     const maxLevel = Math.max(0, ...levels.values());
     const levelCount = maxLevel + 1;
-    const levelSpacing = levelCount > 1
-      ? (levelAxisLength - nodeWidth) / (levelCount - 1)
-      : 0;
+
+    // Circular links loop around the node-axis edges and need space reserved there
+    const circularGap = this.options.circularLinkGap;
+    const circularSides = this._assignCircularSides(nodesByLevel);
+    let circularTotal = 0;
+    let topCount = 0;
+    let bottomCount = 0;
+    for (const [dp, side] of circularSides) {
+      circularTotal += dp.flow;
+      if (side === 'top') topCount++;
+      else bottomCount++;
+    }
+    const circularGaps = (topCount > 0 ? (topCount + 1) * circularGap : 0)
+      + (bottomCount > 0 ? (bottomCount + 1) * circularGap : 0);
 
     // Find global scale that fits the tightest level
     let scale = Infinity;
@@ -643,12 +3379,53 @@ export class SankeyController extends DatasetController {
       let totalValue = 0;
       for (const id of nodeIds) totalValue += nodes.get(id).value;
       const padding = Math.max(0, nodeIds.length - 1) * nodePadding;
-      const available = nodeAxisLength - padding;
+      const available = nodeAxisLength - padding - circularGaps;
       if (totalValue > 0 && available > 0) {
-        scale = Math.min(scale, available / totalValue);
+        scale = Math.min(scale, available / (totalValue + circularTotal));
+      }
+    }
+    if (!isFinite(scale) || scale <= 0) scale = 1;
+
+    // Route circular links: shortest spans sit closest to the nodes
+    const reserved = { top: 0, bottom: 0 };
+    const loops = { top: [], bottom: [] };
+    for (const [dp, side] of circularSides) loops[side].push(dp);
+    const loopOffsets = new Map();
+    const span = dp => levels.get(dp.from) - levels.get(dp.to);
+    for (const side of ['top', 'bottom']) {
+      loops[side].sort((a, b) => span(a) - span(b));
+      let cumulative = 0;
+      for (const dp of loops[side]) {
+        const h = dp.flow * scale;
+        loopOffsets.set(dp, circularGap + cumulative + h / 2);
+        cumulative += h + circularGap;
       }
+      reserved[side] = loops[side].length > 0 ? cumulative + circularGap : 0;
     }
-    if (!isFinite(scale) || scale <= 0) scale = 1;
+
+    const nodeAreaStart = (isVertical ? left : top) + reserved.top;
+    const nodeAreaLength = nodeAxisLength - reserved.top - reserved.bottom;
+    this._circularLayout = new Map();
+    for (const [dp, offset] of loopOffsets) {
+      const loopPos = circularSides.get(dp) === 'top'
+        ? nodeAreaStart - offset
+        : nodeAreaStart + nodeAreaLength + offset;
+      this._circularLayout.set(dp, { loopPos, legOffset: offset });
+    }
+
+    // Loop legs leaving the last level or entering the first need room past the edge columns
+    let levelMarginStart = 0;
+    let levelMarginEnd = 0;
+    for (const [dp, offset] of loopOffsets) {
+      const extent = offset + (dp.flow * scale) / 2;
+      if (levels.get(dp.to) === 0) levelMarginStart = Math.max(levelMarginStart, extent);
+      if (levels.get(dp.from) === maxLevel) levelMarginEnd = Math.max(levelMarginEnd, extent);
+    }
+    const levelAxisStart = (isVertical ? top : left) + levelMarginStart;
+    const levelAreaLength = levelAxisLength - levelMarginStart - levelMarginEnd;
+    const levelSpacing = levelCount > 1
+      ? (levelAreaLength - nodeWidth) / (levelCount - 1)
+      : 0;
 
     const positions = new Map();
     for (const [level, nodeIds] of nodesByLevel) {
@@ -657,14 +3434,12 @@ export class SankeyController extends DatasetController {
       const totalHeight = heights.reduce((a, b) => a + b, 0) + padding;
 
       // Center the group along the node axis
-      const nodeAxisStart = isVertical ? left : top;
-      const startPos = nodeAxisStart + (nodeAxisLength - totalHeight) / 2;
+      const startPos = nodeAreaStart + (nodeAreaLength - totalHeight) / 2;
 
       // Level axis position
-      const levelAxisStart = isVertical ? top : left;
       const levelPos = levelCount > 1
         ? levelAxisStart + level * levelSpacing
-        : levelAxisStart + (levelAxisLength - nodeWidth) / 2;
+        : levelAxisStart + (levelAreaLength - nodeWidth) / 2;
 
       let currentPos = startPos;
       nodeIds.forEach((id, idx) => {
@@ -690,19 +3465,141 @@ export class SankeyController extends DatasetController {
       });
     }
 
+    const iterations = this.options.layoutIterations;
+    if (iterations > 0) {
+      this._relaxPositions(positions, nodesByLevel, {
+        iterations,
+        padding: nodePadding,
+        start: nodeAreaStart,
+        end: nodeAreaStart + nodeAreaLength
+      });
+    }
+
+    this._layoutArea = {
+      nodeStart: nodeAreaStart,
+      nodeLength: nodeAreaLength,
+      levelStart: levelAxisStart,
+      levelLength: levelAreaLength,
+      levelSpacing,
+      levelCount
+    };
+    this._applyNodeOverrides(positions);
+
     return positions;
   }
 
-  _computeFlows(data, nodePositions, dataset, colorMode, orientation) {
-    const outOffsets = new Map();
-    const inOffsets = new Map();
-    for (const id of nodePositions.keys()) {
-      outOffsets.set(id, 0);
-      inOffsets.set(id, 0);
+  /**
+   * Run relaxNodes() over the stacked positions and write the results back.
+   * Columns in nodesByLevel are re-sorted to match the relaxed order.
+   */
+  _relaxPositions(positions, nodesByLevel, options) {
+    const isVertical = this._orientation === 'vertical';
+    const sortedLevels = [...nodesByLevel.keys()].sort((a, b) => a - b);
+    const columns = sortedLevels.map(level => nodesByLevel.get(level).map(id => {
+      const pos = positions.get(id);
+      return isVertical
+        ? { id, pos: pos.x, size: pos.width }
+        : { id, pos: pos.y, size: pos.height };
+    }));
+
+    const circular = this._circularLinks || new Set();
+    const validData = this._layoutData.filter(dp => !circular.has(dp));
+    relaxNodes(columns, validData, options);
+
+    columns.forEach((column, idx) => {
+      for (const node of column) {
+        positions.get(node.id)[isVertical ? 'x' : 'y'] = node.pos;
+      }
+      nodesByLevel.set(sortedLevels[idx], column.map(node => node.id));
+    });
+  }
+
+  /**
+   * Decide which edge each circular link loops around. 'auto' uses the
+   * relative rank of the source and target within their columns.
+   * @returns {Map} circular data point → 'top' | 'bottom'
+   */
+  _assignCircularSides(nodesByLevel) {
+    const option = this.options.circularLinkSide;
+    const rank = new Map();
+    for (const nodeIds of nodesByLevel.values()) {
+      nodeIds.forEach((id, idx) => rank.set(id, (idx + 0.5) / nodeIds.length));
+    }
+
+    const sides = new Map();
+    for (const dp of this._circularLinks || []) {
+      if (option === 'top' || option === 'bottom') {
+        sides.set(dp, option);
+      } else {
+        const avgRank = ((rank.get(dp.from) ?? 0.5) + (rank.get(dp.to) ?? 0.5)) / 2;
+        sides.set(dp, avgRank < 0.5 ? 'top' : 'bottom');
+      }
+    }
+    return sides;
+  }
+
+  /**
+   * Stack flow bands along one face of every node and return each band's offset
+   * from the start of that face. Loops routed over the top attach first and loops
+   * routed under the bottom last, inner loops nearest the edge they turn towards so
+   * their legs never cross. Other flows are sorted by the position of the node at
+   * the other end, or by the dataset's `flowSort` comparator.
+   * @param {string} direction - 'outgoing' (source faces) or 'incoming' (target faces)
+   * @returns {Array<number>} Offset per data index
+   */
+  _attachFlows(data, bands, nodePositions, direction, flowSort, isVertical) {
+    const circularLayout = this._circularLayout || new Map();
+    const nodeKey = direction === 'outgoing' ? 'from' : 'to';
+    const otherKey = direction === 'outgoing' ? 'to' : 'from';
+    const sizeKey = direction === 'outgoing' ? 'sourceHeight' : 'targetHeight';
+    const center = (id) => {
+      const pos = nodePositions.get(id);
+      return isVertical ? pos.x + pos.width / 2 : pos.y + pos.height / 2;
+    };
+    const attachKey = (dp) => {
+      const loop = circularLayout.get(dp);
+      if (!loop) return [1, 0];
+      return loop.loopPos < center(dp[nodeKey]) ? [0, loop.legOffset] : [2, -loop.legOffset];
+    };
+
+    const byNode = new Map();
+    bands.forEach((band, i) => {
+      if (!band) return;
+      const id = data[i][nodeKey];
+      if (!byNode.has(id)) byNode.set(id, []);
+      byNode.get(id).push(i);
+    });
+
+    const offsets = new Array(data.length).fill(0);
+    for (const [nodeId, indices] of byNode) {
+      const keys = new Map(indices.map(i => [i, attachKey(data[i])]));
+      indices.sort((a, b) => {
+        const ka = keys.get(a);
+        const kb = keys.get(b);
+        if (ka[0] !== kb[0]) return ka[0] - kb[0];
+        if (ka[0] !== 1) return ka[1] - kb[1] || a - b;
+        if (typeof flowSort === 'function') {
+          return flowSort(data[a], data[b], { node: nodeId, direction }) || a - b;
+        }
+        return center(data[a][otherKey]) - center(data[b][otherKey]) || a - b;
+      });
+
+      let offset = 0;
+      for (const i of indices) {
+        offsets[i] = offset;
+        offset += bands[i][sizeKey];
+      }
     }
+    return offsets;
+  }
+
+  _computeFlows(data, nodePositions, dataset, colorMode, orientation) {
     const isVertical = orientation === 'vertical';
+    const circularLayout = this._circularLayout || new Map();
+    const flowSort = this.options.flowSort;
 
-    const flows = new Array(data.length).fill(null);
+    // Band thickness at each end, proportional to the node it attaches to
+    const bands = new Array(data.length).fill(null);
     for (let i = 0; i < data.length; i++) {
       const dp = data[i];
       if (!isValidFlow(dp)) continue;
@@ -711,48 +3608,59 @@ export class SankeyController extends DatasetController {
       const toPos = nodePositions.get(dp.to);
       if (!fromPos || !toPos) continue;
 
-      let sourceHeight, targetHeight;
       if (isVertical) {
         // In vertical mode, flow band width is along x-axis (fromPos.width holds the node's "size")
-        sourceHeight = fromPos.value > 0
-          ? (dp.flow / fromPos.value) * fromPos.width : 0;
-        targetHeight = toPos.value > 0
-          ? (dp.flow / toPos.value) * toPos.width : 0;
+        bands[i] = {
+          sourceHeight: fromPos.value > 0 ? (dp.flow / fromPos.value) * fromPos.width : 0,
+          targetHeight: toPos.value > 0 ? (dp.flow / toPos.value) * toPos.width : 0
+        };
       } else {
-        sourceHeight = fromPos.value > 0
-          ? (dp.flow / fromPos.value) * fromPos.height : 0;
-        targetHeight = toPos.value > 0
-          ? (dp.flow / toPos.value) * toPos.height : 0;
+        bands[i] = {
+          sourceHeight: fromPos.value > 0 ? (dp.flow / fromPos.value) * fromPos.height : 0,
+          targetHeight: toPos.value > 0 ? (dp.flow / toPos.value) * toPos.height : 0
+        };
       }
+    }
+
+    const outOffsets = this._attachFlows(data, bands, nodePositions, 'outgoing', flowSort, isVertical);
+    const inOffsets = this._attachFlows(data, bands, nodePositions, 'incoming', flowSort, isVertical);
+
+    const flows = new Array(data.length).fill(null);
+    for (let i = 0; i < data.length; i++) {
+      if (!bands[i]) continue;
+      const dp = data[i];
+      const fromPos = nodePositions.get(dp.from);
+      const toPos = nodePositions.get(dp.to);
+      const { sourceHeight, targetHeight } = bands[i];
 
       let flowX, flowY, flowX2, flowY2;
       if (isVertical) {
         // Flow exits bottom of source, enters top of target
-        flowX = fromPos.x + outOffsets.get(dp.from) + sourceHeight / 2;
+        flowX = fromPos.x + outOffsets[i] + sourceHeight / 2;
         flowY = fromPos.y + fromPos.height; // bottom edge
-        flowX2 = toPos.x + inOffsets.get(dp.to) + targetHeight / 2;
+        flowX2 = toPos.x + inOffsets[i] + targetHeight / 2;
         flowY2 = toPos.y; // top edge
       } else {
         // Flow exits right of source, enters left of target
         flowX = fromPos.x + fromPos.width; // right edge
-        flowY = fromPos.y + outOffsets.get(dp.from) + sourceHeight / 2;
+        flowY = fromPos.y + outOffsets[i] + sourceHeight / 2;
         flowX2 = toPos.x; // left edge
-        flowY2 = toPos.y + inOffsets.get(dp.to) + targetHeight / 2;
+        flowY2 = toPos.y + inOffsets[i] + targetHeight / 2;
       }
 
-      outOffsets.set(dp.from, outOffsets.get(dp.from) + sourceHeight);
-      inOffsets.set(dp.to, inOffsets.get(dp.to) + targetHeight);
-
       // Resolve color based on colorMode
-      let baseColor = dp.color || dataset.color || defaultColors[i % defaultColors.length];
+      const flowOptions = this._resolveFlowOptions(i);
+      let baseColor = dp.color || flowOptions.color || defaultColors[i % defaultColors.length];
       let colorFrom, colorTo;
+      // Node colors drive flow colors once they are set explicitly (nodeColors or a node record color)
+      const hasNodeColor = id => this.options.nodeColors || dataset.nodes?.[id]?.color;
 
       if (colorMode === 'from' && !dp.color) {
         const nc = this._resolvedNodeColors?.get(dp.from);
-        if (nc && dataset.nodeColors) baseColor = nc;
+        if (nc && hasNodeColor(dp.from)) baseColor = nc;
       } else if (colorMode === 'to' && !dp.color) {
         const nc = this._resolvedNodeColors?.get(dp.to);
-        if (nc && dataset.nodeColors) baseColor = nc;
+        if (nc && hasNodeColor(dp.to)) baseColor = nc;
       }
 
       colorFrom = dp.colorFrom || baseColor;
@@ -760,7 +3668,7 @@ export class SankeyController extends DatasetController {
       if (colorMode === 'gradient' && !dp.colorFrom && !dp.colorTo) {
         const fromNodeColor = this._resolvedNodeColors?.get(dp.from);
         const toNodeColor = this._resolvedNodeColors?.get(dp.to);
-        if (dataset.nodeColors && fromNodeColor && toNodeColor) {
+        if (hasNodeColor(dp.from) && hasNodeColor(dp.to) && fromNodeColor && toNodeColor) {
           colorFrom = fromNodeColor;
           colorTo = toNodeColor;
         } else {
@@ -779,7 +3687,21 @@ export class SankeyController extends DatasetController {
         color: baseColor,
         colorFrom,
         colorTo,
-        hoverColor: dp.hoverColor || null,
+        hoverColor: dp.hoverColor || flowOptions.hoverColor || null,
+        borderColor: dp.borderColor ?? flowOptions.borderColor,
+        borderWidth: dp.borderWidth ?? flowOptions.borderWidth,
+        borderDash: dp.borderDash ?? flowOptions.borderDash,
+        hoverBorderColor: dp.hoverBorderColor ?? flowOptions.hoverBorderColor,
+        hoverBorderWidth: dp.hoverBorderWidth ?? flowOptions.hoverBorderWidth,
+        hoverBorderDash: dp.hoverBorderDash ?? flowOptions.hoverBorderDash,
+        pattern: flowPattern(dp.pattern ?? flowOptions.pattern),
+        hoverPattern: flowPattern(dp.hoverPattern ?? flowOptions.hoverPattern),
+        linkShape: flowOptions.linkShape,
+        curvature: flowOptions.curvature,
+        arrowLength: flowOptions.arrow.display ? flowOptions.arrow.length : 0,
+        circular: circularLayout.has(dp),
+        loopPos: circularLayout.get(dp)?.loopPos,
+        legOffset: circularLayout.get(dp)?.legOffset,
         from: dp.from,
         to: dp.to,
         value: dp.flow
@@ -790,116 +3712,617 @@ export class SankeyController extends DatasetController {
   }
 
   draw() {
-    const { ctx } = this.chart;
+    this._render(this.chart.ctx, true);
+  }
+
+  /**
+   * Paint flows, flow labels and nodes. Without `interactive`, hover and keyboard
+   * focus are left out (used for SVG export).
+   */
+  _render(ctx, interactive) {
     const meta = this._cachedMeta;
 
     // Determine which elements are active (hovered)
-    const activeElements = this.chart.getActiveElements();
+    const activeElements = interactive ? this.chart.getActiveElements() : [];
     const activeSet = new Set(activeElements.map(a => a.element));
     const hasActiveFlows = activeElements.some(a => a.datasetIndex === this.index);
 
+    // Keyboard focus highlights like hover when the mouse is not over a node
+    const focus = interactive ? this.chart._sankeyFocus : null;
+    const ownFocus = focus && focus.datasetIndex === this.index ? focus : null;
+    const focusedNode = ownFocus && ownFocus.kind === 'node' ? ownFocus.id : null;
+    const focusedFlow = ownFocus && ownFocus.kind === 'flow' ? meta.data[ownFocus.index] : null;
+    this._focusedNode = focusedNode;
+
     // Use the tracked hovered node from mousemove handler
-    const mouse = this.chart._sankeyMouse;
-    const hoveredNode = mouse ? mouse.hoveredNodeId : null;
+    // A hovered node counts for its own dataset and for datasets merged with it
+    const mouse = interactive ? this.chart._sankeyMouse : null;
+    const hoverHere = mouse && (mouse.hoveredDatasetIndex === this.index
+      || (this._layoutPeers || []).some(peer => peer.index === mouse.hoveredDatasetIndex));
+    const hoveredNode = (hoverHere ? mouse.hoveredNodeId : null) || focusedNode;
     this._hoveredNode = hoveredNode;
 
     // Draw flows (elements draw themselves)
+    const { focusColor, focusWidth } = this.options.accessibility;
     for (const element of meta.data) {
       if (element.x != null && element.x2 != null) {
         element.active = activeSet.has(element);
-        element._hasActiveFlows = hasActiveFlows;
+        element._hasActiveFlows = hasActiveFlows || !!focusedFlow;
         element._hoveredNode = hoveredNode;
+        element.focused = element === focusedFlow;
+        element._focusColor = focusColor;
+        element._focusWidth = focusWidth;
         element.draw(ctx);
       }
     }
 
+    // Imbalance stubs dim and highlight like flows
+    const hoveredStub = hoverHere && mouse.hoveredDatasetIndex === this.index ? mouse.hoveredStub : null;
+    for (const [key, element] of this._imbalanceElements || []) {
+      element.active = key === hoveredStub;
+      element._hasActiveFlows = hasActiveFlows || !!focusedFlow || !!hoveredStub;
+      element._hoveredNode = hoveredNode;
+      element.focused = false;
+      element.draw(ctx);
+    }
+
     // Draw flow value labels
     this._drawFlowLabels(ctx);
+    this._drawImbalanceLabels(ctx);
 
     // Draw nodes on top
-    if (this._nodePositions && this._nodePositions.size > 0) {
+    if (this._nodeElements && this._nodeElements.size > 0 && this._drawsNodes()) {
       this._drawNodes(ctx);
     }
   }
 
-  _drawFlowLabels(ctx) {
-    const dataset = this.getDataset();
-    // Merge defaults with dataset config directly (avoid this.options which uses
-    // Chart.js's resolver proxy that calls functions as scriptable options)
-    const flowLabelsCfg = {
-      ...SankeyController.defaults.flowLabels,
-      ...(dataset.flowLabels || {}),
-      font: {
-        ...SankeyController.defaults.flowLabels.font,
-        ...(dataset.flowLabels?.font || {})
-      }
+  /**
+   * Plain snapshot of what this dataset draws: node boxes with their labels and
+   * colors, and the geometry of every visible flow. Can be passed to toSVG().
+   */
+  getLayout() {
+    const nodes = [];
+    for (const [id, pos] of this._nodePositions || []) {
+      nodes.push({
+        id,
+        label: this.getNodeLabel(id),
+        level: this._levels.get(id) ?? 0,
+        x: pos.x,
+        y: pos.y,
+        width: pos.width,
+        height: pos.height,
+        color: this._resolvedNodeColors.get(id)
+      });
+    }
+    const flowProps = ['from', 'to', 'x', 'y', 'x2', 'y2', 'height', 'height2', 'color', 'colorMode',
+      'colorFrom', 'colorTo', 'orientation', 'circular', 'loopPos', 'legOffset', 'linkShape', 'curvature', 'arrowLength',
+      'borderColor', 'borderWidth', 'borderDash', 'pattern'];
+    const flows = [];
+    this._cachedMeta.data.forEach((el, index) => {
+      if (el.x == null || el.x2 == null || !el.height || !this._flowData[index]) return;
+      const flow = { index, value: this._flowData[index].flow };
+      for (const prop of flowProps) flow[prop] = el[prop];
+      flows.push(flow);
+    });
+    return {
+      width: this.chart.width,
+      height: this.chart.height,
+      orientation: this._orientation,
+      nodes,
+      flows
     };
-    if (!flowLabelsCfg.display) return;
+  }
 
-    const meta = this._cachedMeta;
-    const data = dataset.data || [];
-    const formatter = flowLabelsCfg.formatter;
-    const fontSize = flowLabelsCfg.font.size || 10;
+  /**
+   * Totals and largest flows of a node, as passed to the nodeTooltip callbacks.
+   */
+  getNodeTooltipContext(nodeId) {
+    const node = this.getNode(nodeId);
+    if (!node) return null;
+    const topFlows = this.options.nodeTooltip.topFlows;
+    const inflows = [];
+    const outflows = [];
+    const entry = (id, dp, whole) => ({
+      node: id,
+      label: this.getNodeLabel(id),
+      value: dp.flow,
+      formattedValue: this.formatValue(dp.flow),
+      share: whole > 0 ? dp.flow / whole : 0,
+      raw: dp
+    });
+    for (const dp of (this._flowData || []).filter(isValidFlow)) {
+      if (dp.to === nodeId) inflows.push(entry(dp.from, dp, node.incoming));
+      if (dp.from === nodeId) outflows.push(entry(dp.to, dp, node.outgoing));
+    }
+    const top = flows => flows.sort((a, b) => b.value - a.value).slice(0, Math.max(0, topFlows));
+    return {
+      chart: this.chart,
+      dataset: this.getDataset(),
+      datasetIndex: this.index,
+      nodeId,
+      node,
+      label: this.getNodeLabel(nodeId),
+      incoming: node.incoming,
+      outgoing: node.outgoing,
+      net: node.incoming - node.outgoing,
+      share: this.getNodeShare(nodeId),
+      formatValue: value => this.formatValue(value),
+      formatPercent: share => this.formatPercent(share),
+      inflows: top(inflows),
+      outflows: top(outflows)
+    };
+  }
+
+  /**
+   * Lines of a node tooltip. Every part can be replaced through `nodeTooltip.callbacks`;
+   * callbacks return a string or an array of strings, empty to leave the part out.
+   */
+  _nodeTooltipLines(context) {
+    const callbacks = this.options.nodeTooltip.callbacks || {};
+    const call = (name, fallback, ...args) => {
+      const result = typeof callbacks[name] === 'function' ? callbacks[name](...args) : fallback;
+      if (result == null || result === '') return [];
+      return Array.isArray(result) ? result.map(String) : [String(result)];
+    };
+
+    const title = call('title', context.label, context);
+    const body = call('label', [
+      `Incoming: ${this.formatValue(context.incoming)}`,
+      `Outgoing: ${this.formatValue(context.outgoing)}`,
+      `Net: ${this.formatValue(context.net)}`
+    ], context);
+    const percent = this.options.percentOf ? flow => ` (${this.formatPercent(flow.share)})` : () => '';
+    for (const [direction, flows, heading] of [
+      ['in', context.inflows, 'Top inflows'],
+      ['out', context.outflows, 'Top outflows']
+    ]) {
+      if (flows.length === 0) continue;
+      body.push(...call('flowsTitle', heading, direction, context));
+      for (const flow of flows) {
+        body.push(...call('flowLabel', `  ${flow.label}: ${flow.formattedValue}${percent(flow)}`, { ...flow, direction }, context));
+      }
+    }
+    const footer = call('footer', null, context);
+    return { title, body, footer };
+  }
+
+  /**
+   * Nodes, then imbalance stubs, in the order of their tooltip item indexes.
+   * The indexes follow the flows', so the tooltip tells the items apart.
+   */
+  _tooltipTargets() {
+    if (!this._tooltipTargetList) {
+      const nodes = [...(this._nodePositions || new Map()).keys()].map(nodeId => ({ nodeId, stub: null }));
+      const stubs = [...(this._imbalanceElements || new Map()).keys()].map(stub => ({ nodeId: null, stub }));
+      this._tooltipTargetList = nodes.concat(stubs);
+    }
+    return this._tooltipTargetList;
+  }
+
+  /**
+   * Tooltip (and interaction) item for a node or an imbalance stub:
+   * {element, datasetIndex, index}, with the index after the flows'.
+   */
+  _tooltipItem(nodeId, stub) {
+    const at = this._tooltipTargets().findIndex(target => (
+      nodeId != null ? target.nodeId === nodeId : target.stub === stub
+    ));
+    const element = nodeId != null
+      ? this._nodeElements && this._nodeElements.get(nodeId)
+      : this._imbalanceElements && this._imbalanceElements.get(stub);
+    if (at < 0 || !element) return null;
+    return { element, datasetIndex: this.index, index: this._cachedMeta.data.length + at };
+  }
+
+  /**
+   * The node or imbalance stub of a tooltip item index, or undefined for flows.
+   */
+  _tooltipTarget(index) {
+    return this._tooltipTargets()[index - this._cachedMeta.data.length];
+  }
+
+  /**
+   * Title, body, footer and color the tooltip callbacks show for the node or
+   * stub of a tooltip item index: null for flows, and for nodes without
+   * content. Kept until the next update, as the tooltip asks several times.
+   */
+  _tooltipContent(index) {
+    const target = this._tooltipTarget(index);
+    if (!target) return null;
+    const cache = this._tooltipContentCache || (this._tooltipContentCache = new Map());
+    if (!cache.has(index)) {
+      cache.set(index, target.nodeId != null ? this._nodeTooltipContent(target.nodeId) : this._stubTooltipContent(target.stub));
+    }
+    return cache.get(index);
+  }
+
+  /**
+   * Node tooltip lines from the nodeTooltip callbacks.
+   */
+  _nodeTooltipContent(nodeId) {
+    if (!this.options.nodeTooltip.enabled) return null;
+    const context = this.getNodeTooltipContext(nodeId);
+    if (!context) return null;
+    const { title, body, footer } = this._nodeTooltipLines(context);
+    if (title.length + body.length + footer.length === 0) return null;
+    return { title, body, footer, color: this._resolvedNodeColors.get(nodeId) };
+  }
+
+  /**
+   * Tooltip for an imbalance stub: the node and the stub label, the value and
+   * its share of the node's inflow (loss) or outflow (gain).
+   */
+  _stubTooltipContent(key) {
+    const element = this._imbalanceElements && this._imbalanceElements.get(key);
+    if (!element) return null;
+    const { stub } = element;
+    const nodeLabel = this.getNodeLabel(stub.node);
+    const isLoss = stub.type === 'loss';
+    return {
+      title: [isLoss ? `${nodeLabel} \u2192 ${stub.label}` : `${stub.label} \u2192 ${nodeLabel}`],
+      body: [`${this.formatValue(stub.value)} (${this.formatPercent(stub.share)} of ${isLoss ? 'inflow' : 'outflow'})`],
+      footer: [],
+      color: element.color
+    };
+  }
 
+  /**
+   * "Loss: 120" beyond the open end of each imbalance stub, in the flow label font.
+   */
+  _drawImbalanceLabels(ctx) {
+    const { imbalance, flowLabels } = this.options;
+    if (!imbalance.display || !imbalance.showLabel || !this._imbalanceElements) return;
+    const fontSize = flowLabels.font.size || 10;
+    const gap = 4;
     ctx.save();
-    ctx.font = `${fontSize}px ${flowLabelsCfg.font.family || 'sans-serif'}`;
-    ctx.fillStyle = flowLabelsCfg.color || 'rgba(0, 0, 0, 0.8)';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
+    ctx.font = `${fontSize}px ${flowLabels.font.family || 'sans-serif'}`;
+    ctx.fillStyle = flowLabels.color || 'rgba(0, 0, 0, 0.8)';
+    for (const element of this._imbalanceElements.values()) {
+      const { stub } = element;
+      if (!element.height) continue;
+      const isLoss = stub.type === 'loss';
+      const x = isLoss ? element.x2 : element.x;
+      const y = isLoss ? element.y2 : element.y;
+      if (element.orientation === 'vertical') {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = isLoss ? 'top' : 'bottom';
+        ctx.fillText(`${stub.label}: ${this.formatValue(stub.value)}`, x, isLoss ? y + gap : y - gap);
+      } else {
+        ctx.textAlign = isLoss ? 'left' : 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${stub.label}: ${this.formatValue(stub.value)}`, isLoss ? x + gap : x - gap, y);
+      }
+    }
+    ctx.restore();
+  }
+
+  _drawFlowLabels(ctx) {
+    // Cheap early-out before resolving options per flow
+    if (!this.options.flowLabels.display) return;
+
+    const meta = this._cachedMeta;
+    const data = this.getDataset().data || [];
+    const parsed = this._parsedData();
 
     for (let i = 0; i < meta.data.length; i++) {
       const el = meta.data[i];
       if (el.x == null || el.x2 == null) continue;
 
+      const flowLabelsCfg = this._resolveFlowOptions(i, el.active).flowLabels;
+      if (!flowLabelsCfg.display) continue;
+      const fontSize = flowLabelsCfg.font.size || 10;
+
       const avgHeight = ((el.height || 0) + (el.height2 != null ? el.height2 : el.height || 0)) / 2;
       if (avgHeight < fontSize * 1.2) continue; // Skip labels on thin flows
 
       const center = el.getCenterPoint();
-      const dp = data[i];
+      const value = (this._flowData?.[i] ?? parsed[i])?.flow;
+      const shares = this.getFlowShares(i);
+      const formattedValue = this.formatValue(value);
+      const formatter = flowLabelsCfg.formatter;
       const text = typeof formatter === 'function'
-        ? formatter(dp?.flow, dp)
-        : String(dp?.flow ?? '');
+        ? formatter(value, data[i], { formattedValue, shares, formatPercent: share => this.formatPercent(share) })
+        : formattedValue + this._percentSuffix(shares);
 
+      ctx.save();
+      ctx.font = `${fontSize}px ${flowLabelsCfg.font.family || 'sans-serif'}`;
+      ctx.fillStyle = flowLabelsCfg.color || 'rgba(0, 0, 0, 0.8)';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
       ctx.fillText(text, center.x, center.y);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Content of a node's label: the `labels.formatter` result (a string, or lines
+   * of segments, see labelSegments), or the node's display label, followed by
+   * its value when `labels.showValue` is set.
+   */
+  _labelContent(nodeId, node, labelsCfg) {
+    const formatter = labelsCfg.formatter;
+    const formattedValue = this.formatValue(node ? node.value : 0);
+    const share = this.getNodeShare(nodeId);
+    if (typeof formatter === 'function') {
+      return formatter(nodeId, node || { id: nodeId, incoming: 0, outgoing: 0, value: 0 },
+        { formattedValue, share, formatPercent: s => this.formatPercent(s) });
+    }
+    if (!labelsCfg.showValue) return this.getNodeLabel(nodeId);
+    const percent = this.options.percentOf ? ` (${this.formatPercent(share)})` : '';
+    return `${this.getNodeLabel(nodeId)}: ${formattedValue}${percent}`;
+  }
+
+  /**
+   * Measure label lines of segments: each line's width and height, the text
+   * block's size and, with `rotation` (degrees), the size of its rotated bounding box.
+   */
+  _measureLabel(ctx, segmentLines, rotation) {
+    const lines = segmentLines.map(segments => {
+      let width = 0;
+      let size = 0;
+      for (const segment of segments) {
+        ctx.font = fontString(segment.font);
+        segment.width = ctx.measureText(segment.text).width;
+        width += segment.width;
+        size = Math.max(size, segment.font.size || 12);
+      }
+      return { segments, width, height: size * 1.2 };
+    });
+    const textWidth = Math.max(0, ...lines.map(line => line.width));
+    const textHeight = lines.reduce((sum, line) => sum + line.height, 0);
+    const angle = (rotation || 0) * Math.PI / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    return {
+      lines,
+      textWidth,
+      textHeight,
+      rotation: angle,
+      width: textWidth * cos + textHeight * sin,
+      height: textWidth * sin + textHeight * cos
+    };
+  }
+
+  /**
+   * Label font of the resolved `labels` options, as a plain object.
+   */
+  _labelFont(labelsCfg) {
+    const { size, family, weight, style } = labelsCfg.font;
+    return { size: size || 12, family: family || 'sans-serif', weight, style };
+  }
+
+  /**
+   * How far this dataset's labels reach past the chart area on each side, for
+   * `labels.reserveSpace`. The chart layout asks before the datasets update,
+   * so the options are resolved and the graph built here, from the current
+   * data; updateElements() picks the graph up instead of building it again.
+   */
+  _labelExtents() {
+    const extents = { left: 0, right: 0, top: 0, bottom: 0 };
+    this.configure();
+    const options = this.options;
+    if (!options.labels.reserveSpace) return extents;
+    const graph = this._buildGraph();
+    const layout = this._layoutSource(graph.validData, graph.nodes);
+    this._measuredGraph = { graph, layout };
+    if (layout.nodes.size === 0) return extents;
+    const levels = assignNodeLevels(layout.data, layout.nodes, layout.nodeConfig, options.nodeAlign);
+    const maxLevel = Math.max(0, ...levels.values());
+    const isVertical = options.orientation === 'vertical';
+    const ctx = this.chart.ctx;
+    ctx.save();
+    for (const [nodeId, level] of levels) {
+      const labelsCfg = this._resolveNodeOptions(nodeId, false).labels;
+      if (labelsCfg.display === false) continue;
+      // Inside labels fall back to the automatic side when they don't fit
+      const position = labelsCfg.position === 'inside' ? 'auto' : labelsCfg.position || 'auto';
+      const side = labelSide(position, level, maxLevel, isVertical);
+      // Labels between columns (or rows) stay inside the chart area
+      const outer = side === 'left' ? isVertical || level === 0
+        : side === 'right' ? isVertical || level === maxLevel
+          : side === 'top' ? !isVertical || level === 0
+            : level === maxLevel;
+      if (!outer) continue;
+      const content = this._labelContent(nodeId, layout.nodes.get(nodeId), labelsCfg);
+      const size = this._measureLabel(ctx, labelSegments(content, this._labelFont(labelsCfg)), labelsCfg.rotation);
+      const padding = labelsCfg.padding ?? 5;
+      extents[side] = Math.max(extents[side], (side === 'left' || side === 'right' ? size.width : size.height) + padding);
     }
     ctx.restore();
+    return extents;
   }
 
-  _drawNodes(ctx) {
-    const dataset = this.getDataset();
-    const defaults = SankeyController.defaults;
-    const nodeBorderColor = dataset.nodeBorderColor ?? defaults.nodeBorderColor;
-    const nodeBorderWidth = dataset.nodeBorderWidth ?? defaults.nodeBorderWidth;
-    const nodeBorderRadius = dataset.nodeBorderRadius ?? defaults.nodeBorderRadius;
-    // Merge defaults with dataset config directly (avoid this.options which uses
-    // Chart.js's resolver proxy that calls functions as scriptable options)
-    const labelsCfg = {
-      ...defaults.labels,
-      ...(dataset.labels || {}),
-      font: {
-        ...defaults.labels.font,
-        ...(dataset.labels?.font || {})
+  /**
+   * Room for a label on `side` of its node, across the label: up to the
+   * neighboring column (or, in vertical mode, the neighboring node in the row)
+   * or the canvas edge. Inside labels get the node's width.
+   */
+  _labelRoom(nodeId, pos, side, padding, nodePositions) {
+    if (side === 'inside') return pos.width;
+    const isVertical = this._orientation === 'vertical';
+    const level = this._levels.get(nodeId);
+    let before = 0;
+    let after = this.chart.width;
+    for (const [id, other] of nodePositions) {
+      if (id === nodeId || (isVertical && this._levels.get(id) !== level)) continue;
+      if (other.x + other.width <= pos.x) before = Math.max(before, other.x + other.width + padding);
+      else if (other.x >= pos.x + pos.width) after = Math.min(after, other.x - padding);
+    }
+    if (side === 'left') return pos.x - padding - before;
+    if (side === 'right') return after - (pos.x + pos.width + padding);
+    const center = pos.x + pos.width / 2;
+    return 2 * Math.min(center - before, after - center);
+  }
+
+  /**
+   * Lay out the node labels for the final node positions: each label's side,
+   * lines, size and offset from its anchor. An 'inside' label that does not fit
+   * its node moves to the side 'auto' would pick. `labels.overlap` lists what to
+   * do with labels that do not fit or collide: 'wrap' and 'truncate' fit
+   * single-font lines into the room beside their node, 'move' spreads colliding
+   * labels of a column apart, and 'hide' drops the label of the smaller node of
+   * any pair that still overlaps. They apply in that order.
+   */
+  _layoutLabels(nodePositions) {
+    const labels = new Map();
+    this._labelLayout = labels;
+    const overlap = this.options.labels.overlap;
+    const modes = new Set(overlap ? [].concat(overlap) : []);
+    const isVertical = this._orientation === 'vertical';
+    const ctx = this.chart.ctx;
+    const measure = text => ctx.measureText(text).width;
+    ctx.save();
+    for (const [nodeId, pos] of nodePositions) {
+      const labelsCfg = this._resolveNodeOptions(nodeId, false).labels;
+      if (labelsCfg.display === false) continue;
+      const level = this._levels.get(nodeId) ?? 0;
+      const padding = labelsCfg.padding ?? 5;
+      const rotation = labelsCfg.rotation;
+      const node = this._nodes.get(nodeId);
+      const content = labelSegments(this._labelContent(nodeId, node, labelsCfg), this._labelFont(labelsCfg));
+      const shape = side => {
+        let lines = content;
+        if (modes.has('wrap') || modes.has('truncate')) {
+          // Rotated a quarter turn, a label's lines run across the other axis
+          const turned = Math.abs(Math.sin((rotation || 0) * Math.PI / 180)) > Math.SQRT1_2;
+          const room = Math.max(0, turned
+            ? (side === 'inside' ? pos.height : Infinity)
+            : this._labelRoom(nodeId, pos, side, padding, nodePositions));
+          lines = lines.flatMap(line => {
+            if (line.length !== 1) return [line];
+            const [segment] = line;
+            ctx.font = fontString(segment.font);
+            let texts = [segment.text];
+            if (modes.has('wrap')) texts = wrapText(segment.text, room, measure);
+            if (modes.has('truncate')) texts = texts.map(text => truncateText(text, room, measure));
+            return texts.map(text => [{ ...segment, text }]);
+          });
+        }
+        return { side, ...this._measureLabel(ctx, lines, rotation) };
+      };
+      let label = shape(labelSide(labelsCfg.position || 'auto', level, this._maxLevel, isVertical));
+      if (label.side === 'inside' && (label.width > pos.width || label.height > pos.height)) {
+        label = shape(labelSide('auto', level, this._maxLevel, isVertical));
       }
+      labels.set(nodeId, {
+        ...label,
+        padding,
+        level,
+        value: node ? node.value : 0,
+        dx: 0,
+        dy: 0,
+        hidden: false
+      });
+    }
+    ctx.restore();
+
+    const boxOf = (label, nodeId) => {
+      const anchor = labelAnchor(label.side, nodePositions.get(nodeId), label.padding);
+      const origin = labelBoxOrigin(label.side, anchor.x, anchor.y, label.width, label.height);
+      return { x: origin.x + label.dx, y: origin.y + label.dy, w: label.width, h: label.height };
     };
 
-    const levels = this._levels || new Map();
-    const maxLevel = this._maxLevel || 0;
-    const nodes = this._nodes || new Map();
-    const resolvedColors = this._resolvedNodeColors || new Map();
-    const orientation = this._orientation || 'horizontal';
-    const isVertical = orientation === 'vertical';
-    const formatter = dataset.labels?.formatter ?? defaults.labels.formatter;
+    if (modes.has('move')) {
+      // Labels of a column (row, in vertical mode) on the same side move along the node axis
+      const lanes = new Map();
+      for (const [nodeId, label] of labels) {
+        if (label.side === 'inside') continue;
+        const key = `${label.level}:${label.side}`;
+        const box = boxOf(label, nodeId);
+        const item = isVertical
+          ? { label, start: box.x, pos: box.x, size: box.w }
+          : { label, start: box.y, pos: box.y, size: box.h };
+        if (!lanes.has(key)) lanes.set(key, []);
+        lanes.get(key).push(item);
+      }
+      const end = isVertical ? this.chart.width : this.chart.height;
+      for (const lane of lanes.values()) {
+        resolveCollisions(lane, 2, 0, end);
+        for (const item of lane) item.label[isVertical ? 'dx' : 'dy'] = item.pos - item.start;
+      }
+    }
+
+    if (modes.has('hide')) {
+      const kept = [];
+      const order = [...labels].sort((a, b) => b[1].value - a[1].value);
+      for (const [nodeId, label] of order) {
+        const box = boxOf(label, nodeId);
+        label.hidden = kept.some(k => box.x < k.x + k.w && k.x < box.x + box.w && box.y < k.y + k.h && k.y < box.y + box.h);
+        if (!label.hidden) kept.push(box);
+      }
+    }
+  }
+
+  /**
+   * Draw a laid-out node label next to (or inside) the possibly animating node
+   * box `pos`. Lines align toward the node; segments without their own color
+   * use the current fill style.
+   */
+  _drawLabel(ctx, label, pos) {
+    const anchor = labelAnchor(label.side, pos, label.padding);
+    const origin = labelBoxOrigin(label.side, anchor.x, anchor.y, label.width, label.height);
+    let cx = origin.x + label.dx + label.width / 2;
+    let cy = origin.y + label.dy + label.height / 2;
+    let align = label.side === 'left' ? 'right' : label.side === 'right' ? 'left' : 'center';
+    if (label.rotation) {
+      ctx.translate(cx, cy);
+      ctx.rotate(label.rotation);
+      cx = 0;
+      cy = 0;
+      // Turned a quarter, labels above or below a node read toward it or away from it
+      if ((label.side === 'top' || label.side === 'bottom') && Math.abs(Math.sin(label.rotation)) > Math.SQRT1_2) {
+        align = (label.side === 'top') === (label.rotation < 0) ? 'left' : 'right';
+      }
+    }
+    const color = ctx.fillStyle;
+    const left = cx - label.textWidth / 2;
+    let y = cy - label.textHeight / 2;
+    ctx.textBaseline = 'middle';
+    for (const line of label.lines) {
+      const lineY = y + line.height / 2;
+      y += line.height;
+      if (line.segments.length === 1) {
+        const [segment] = line.segments;
+        if (!segment.text) continue;
+        ctx.font = fontString(segment.font);
+        ctx.fillStyle = segment.color || color;
+        ctx.textAlign = align;
+        ctx.fillText(segment.text, align === 'right' ? left + label.textWidth : align === 'left' ? left : cx, lineY);
+        continue;
+      }
+      // Segments run left to right from where the whole line starts
+      let x = align === 'right' ? left + label.textWidth - line.width
+        : align === 'left' ? left : cx - line.width / 2;
+      ctx.textAlign = 'left';
+      for (const segment of line.segments) {
+        ctx.font = fontString(segment.font);
+        ctx.fillStyle = segment.color || color;
+        if (segment.text) ctx.fillText(segment.text, x, lineY);
+        x += segment.width;
+      }
+    }
+  }
 
+  _drawNodes(ctx) {
+    const dataset = this.getDataset();
     const hoveredNode = this._hoveredNode;
 
-    for (const [nodeId, pos] of this._nodePositions) {
+    for (const [nodeId, pos] of this._nodeElements) {
+      // Faded-out nodes are gone for good
+      if (pos.removed && pos.alpha <= 0) {
+        this._nodeElements.delete(nodeId);
+        continue;
+      }
+      const nodeOptions = this._resolveNodeOptions(nodeId, hoveredNode === nodeId);
+      const { nodeBorderColor, nodeBorderWidth, nodeBorderRadius } = nodeOptions;
+      const labelsCfg = nodeOptions.labels;
       ctx.save();
 
       // Dim unrelated nodes when a node is hovered
       if (hoveredNode && nodeId !== hoveredNode) {
         // Check if this node is directly connected to the hovered node
-        const dataset2 = dataset.data || [];
-        const isConnected = dataset2.some(
+        const flowData = (this._flowData || []).filter(isValidFlow);
+        const isConnected = flowData.some(
           f => (f.from === hoveredNode && f.to === nodeId)
             || (f.to === hoveredNode && f.from === nodeId)
         );
@@ -907,9 +4330,10 @@ export class SankeyController extends DatasetController {
           ctx.globalAlpha = 0.3;
         }
       }
+      ctx.globalAlpha *= Math.max(0, Math.min(1, pos.alpha));
 
       // Node fill
-      const color = resolvedColors.get(nodeId) || 'rgba(0, 0, 0, 0.8)';
+      const color = pos.color || 'rgba(0, 0, 0, 0.8)';
       ctx.fillStyle = color;
       ctx.beginPath();
       drawRoundedRect(ctx, pos.x, pos.y, pos.width, pos.height, nodeBorderRadius);
@@ -924,10 +4348,24 @@ export class SankeyController extends DatasetController {
         ctx.stroke();
       }
 
+      // Keyboard focus ring, drawn outside the hover ring
+      if (this._focusedNode === nodeId) {
+        const { focusColor, focusWidth } = this.options.accessibility;
+        const inset = 2 + focusWidth / 2;
+        ctx.strokeStyle = focusColor;
+        ctx.lineWidth = focusWidth;
+        ctx.beginPath();
+        drawRoundedRect(ctx, pos.x - inset, pos.y - inset, pos.width + inset * 2, pos.height + inset * 2, nodeBorderRadius + inset);
+        ctx.stroke();
+      }
+
       // Node border
       if (nodeBorderWidth > 0) {
-        const borderColor = typeof nodeBorderColor === 'function'
-          ? nodeBorderColor(nodeId) : nodeBorderColor;
+        const nodeCfg = dataset.nodes?.[nodeId];
+        const borderColor = nodeCfg?.borderColor
+          || (typeof nodeBorderColor === 'function'
+            ? nodeBorderColor(nodeId, this.getNodeContext(nodeId, hoveredNode === nodeId))
+            : nodeBorderColor);
         ctx.strokeStyle = borderColor;
         ctx.lineWidth = nodeBorderWidth;
         ctx.beginPath();
@@ -936,83 +4374,10 @@ export class SankeyController extends DatasetController {
       }
 
       // Label
-      if (labelsCfg.display !== false) {
-        const fontSize = labelsCfg.font.size || 12;
-        const fontFamily = labelsCfg.font.family || 'sans-serif';
-        const padding = labelsCfg.padding ?? 5;
-        const level = levels.get(nodeId) ?? 0;
-        const position = labelsCfg.position || 'auto';
-        const node = nodes.get(nodeId);
-
-        const labelText = typeof formatter === 'function'
-          ? formatter(nodeId, node || { id: nodeId, incoming: 0, outgoing: 0, value: 0 })
-          : nodeId;
-
+      const label = this._labelLayout && this._labelLayout.get(nodeId);
+      if (labelsCfg.display !== false && label && !label.hidden) {
         ctx.fillStyle = labelsCfg.color || 'rgba(0, 0, 0, 1)';
-        ctx.font = `${fontSize}px ${fontFamily}`;
-
-        if (isVertical) {
-          // Vertical: levels run top-to-bottom
-          if (position === 'auto' && maxLevel > 0) {
-            if (level === 0) {
-              // Top row: label above
-              ctx.textAlign = 'center';
-              ctx.textBaseline = 'bottom';
-              ctx.fillText(labelText, pos.x + pos.width / 2, pos.y - padding);
-            } else if (level === maxLevel) {
-              // Bottom row: label below
-              ctx.textAlign = 'center';
-              ctx.textBaseline = 'top';
-              ctx.fillText(labelText, pos.x + pos.width / 2, pos.y + pos.height + padding);
-            } else {
-              // Middle: label to the left
-              ctx.textAlign = 'right';
-              ctx.textBaseline = 'middle';
-              ctx.fillText(labelText, pos.x - padding, pos.y + pos.height / 2);
-            }
-          } else if (position === 'left') {
-            ctx.textAlign = 'right';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(labelText, pos.x - padding, pos.y + pos.height / 2);
-          } else if (position === 'right') {
-            ctx.textAlign = 'left';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(labelText, pos.x + pos.width + padding, pos.y + pos.height / 2);
-          } else {
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'bottom';
-            ctx.fillText(labelText, pos.x + pos.width / 2, pos.y - padding);
-          }
-        } else {
-          // Horizontal mode (original)
-          if (position === 'auto' && maxLevel > 0) {
-            if (level === 0) {
-              ctx.textAlign = 'right';
-              ctx.textBaseline = 'middle';
-              ctx.fillText(labelText, pos.x - padding, pos.y + pos.height / 2);
-            } else if (level === maxLevel) {
-              ctx.textAlign = 'left';
-              ctx.textBaseline = 'middle';
-              ctx.fillText(labelText, pos.x + pos.width + padding, pos.y + pos.height / 2);
-            } else {
-              ctx.textAlign = 'center';
-              ctx.textBaseline = 'bottom';
-              ctx.fillText(labelText, pos.x + pos.width / 2, pos.y - padding);
-            }
-          } else if (position === 'left') {
-            ctx.textAlign = 'right';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(labelText, pos.x - padding, pos.y + pos.height / 2);
-          } else if (position === 'right') {
-            ctx.textAlign = 'left';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(labelText, pos.x + pos.width + padding, pos.y + pos.height / 2);
-          } else {
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'bottom';
-            ctx.fillText(labelText, pos.x + pos.width / 2, pos.y - padding);
-          }
-        }
+        this._drawLabel(ctx, label, pos);
       }
 
       ctx.restore();
@@ -1020,6 +4385,342 @@ export class SankeyController extends DatasetController {
   }
 }
 
+const xmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => xmlEscapes[c]);
+}
+
+function svgNumber(n) {
+  return Number.isFinite(n) ? String(Math.round(n * 100) / 100) : '0';
+}
+
+/**
+ * Split a CSS color into an SVG color and opacity; rgba() is not valid in SVG 1.1.
+ */
+function svgColor(color) {
+  const rgba = typeof color === 'string'
+    && color.match(/^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/);
+  if (rgba) return { color: `rgb(${rgba[1]}, ${rgba[2]}, ${rgba[3]})`, opacity: Number(rgba[4]) };
+  // Canvas patterns have no SVG equivalent here
+  return { color: typeof color === 'string' ? color : 'none', opacity: 1 };
+}
+
+/**
+ * Linear gradient recorded by SvgContext.createLinearGradient().
+ */
+class SvgGradient {
+  constructor(id, x0, y0, x1, y1) {
+    this.id = id;
+    this.coords = [x0, y0, x1, y1];
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color });
+  }
+
+  toString() {
+    const [x1, y1, x2, y2] = this.coords.map(svgNumber);
+    const stops = this.stops.map(({ offset, color }) => {
+      const c = svgColor(color);
+      return `<stop offset="${svgNumber(offset)}" stop-color="${escapeXml(c.color)}" stop-opacity="${svgNumber(c.opacity)}"/>`;
+    }).join('');
+    return `<linearGradient id="${this.id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops}</linearGradient>`;
+  }
+}
+
+// Numbers the exports, so the gradient and clip IDs of SVGs inlined in one page differ
+let svgExportCount = 0;
+
+/**
+ * The subset of CanvasRenderingContext2D the sankey drawing code uses, recording
+ * SVG elements instead of painting. Text is measured with `measureContext` when
+ * given (the chart's own canvas), otherwise estimated from the font size.
+ * Gradient and clip path IDs start with `idPrefix`.
+ */
+class SvgContext {
+  constructor(measureContext, idPrefix) {
+    this._measure = measureContext;
+    this._idPrefix = idPrefix;
+    this._defs = [];
+    this._elements = [];
+    this._path = [];
+    this._current = { x: 0, y: 0 };
+    this._start = { x: 0, y: 0 };
+    this._stack = [];
+    this._state = {
+      fillStyle: '#000',
+      strokeStyle: '#000',
+      lineWidth: 1,
+      lineCap: 'butt',
+      lineJoin: 'miter',
+      lineDash: [],
+      globalAlpha: 1,
+      font: '10px sans-serif',
+      textAlign: 'start',
+      textBaseline: 'alphabetic',
+      transform: '',
+      clip: null
+    };
+  }
+
+  save() {
+    this._stack.push({ ...this._state, lineDash: this._state.lineDash.slice() });
+  }
+
+  restore() {
+    if (this._stack.length > 0) this._state = this._stack.pop();
+  }
+
+  translate(x, y) {
+    this._state.transform += ` translate(${svgNumber(x)} ${svgNumber(y)})`;
+  }
+
+  rotate(angle) {
+    this._state.transform += ` rotate(${svgNumber(angle * 180 / Math.PI)})`;
+  }
+
+  scale(x, y) {
+    this._state.transform += ` scale(${svgNumber(x)} ${svgNumber(y)})`;
+  }
+
+  setLineDash(segments) {
+    this._state.lineDash = segments.slice();
+  }
+
+  getLineDash() {
+    return this._state.lineDash.slice();
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    const gradient = new SvgGradient(`${this._idPrefix}-gradient-${this._defs.length}`, x0, y0, x1, y1);
+    this._defs.push(gradient);
+    return gradient;
+  }
+
+  measureText(text) {
+    if (this._measure && typeof this._measure.measureText === 'function') {
+      this._measure.save();
+      this._measure.font = this._state.font;
+      const metrics = this._measure.measureText(text);
+      this._measure.restore();
+      return metrics;
+    }
+    const size = parseFloat((this._state.font.match(/([\d.]+)px/) || [])[1]) || 10;
+    return { width: String(text).length * size * 0.6 };
+  }
+
+  beginPath() {
+    this._path = [];
+  }
+
+  moveTo(x, y) {
+    this._path.push(`M${svgNumber(x)} ${svgNumber(y)}`);
+    this._current = { x, y };
+    this._start = { x, y };
+  }
+
+  lineTo(x, y) {
+    this._path.push(`L${svgNumber(x)} ${svgNumber(y)}`);
+    this._current = { x, y };
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    this._path.push(`C${[cp1x, cp1y, cp2x, cp2y, x, y].map(svgNumber).join(' ')}`);
+    this._current = { x, y };
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    this._path.push(`Q${[cpx, cpy, x, y].map(svgNumber).join(' ')}`);
+    this._current = { x, y };
+  }
+
+  /**
+   * Same geometry as the canvas arcTo(): a line to the first tangent point,
+   * then an arc of the given radius to the second.
+   */
+  arcTo(x1, y1, x2, y2, radius) {
+    const { x: x0, y: y0 } = this._current;
+    const v1 = { x: x0 - x1, y: y0 - y1 };
+    const v2 = { x: x2 - x1, y: y2 - y1 };
+    const len1 = Math.hypot(v1.x, v1.y);
+    const len2 = Math.hypot(v2.x, v2.y);
+    const cross = v1.x * v2.y - v1.y * v2.x;
+    if (radius <= 0 || len1 === 0 || len2 === 0 || Math.abs(cross) < 1e-9) {
+      this.lineTo(x1, y1);
+      return;
+    }
+    const angle = Math.acos(Math.max(-1, Math.min(1, (v1.x * v2.x + v1.y * v2.y) / (len1 * len2))));
+    const distance = radius / Math.tan(angle / 2);
+    const t1 = { x: x1 + v1.x / len1 * distance, y: y1 + v1.y / len1 * distance };
+    const t2 = { x: x1 + v2.x / len2 * distance, y: y1 + v2.y / len2 * distance };
+    const sweep = cross < 0 ? 1 : 0;
+    this.lineTo(t1.x, t1.y);
+    this._path.push(`A${svgNumber(radius)} ${svgNumber(radius)} 0 0 ${sweep} ${svgNumber(t2.x)} ${svgNumber(t2.y)}`);
+    this._current = t2;
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    const start = { x: x + radius * Math.cos(startAngle), y: y + radius * Math.sin(startAngle) };
+    const end = { x: x + radius * Math.cos(endAngle), y: y + radius * Math.sin(endAngle) };
+    if (this._path.length === 0) this.moveTo(start.x, start.y);
+    else this.lineTo(start.x, start.y);
+    let sweepAngle = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+    if (sweepAngle < 0) sweepAngle += Math.PI * 2;
+    if (sweepAngle >= Math.PI * 2 - 1e-9) {
+      // Full circle: two half arcs, SVG cannot draw one arc back to its start
+      const mid = { x: x - (start.x - x), y: y - (start.y - y) };
+      const flag = counterclockwise ? 0 : 1;
+      this._path.push(`A${svgNumber(radius)} ${svgNumber(radius)} 0 1 ${flag} ${svgNumber(mid.x)} ${svgNumber(mid.y)}`);
+      this._path.push(`A${svgNumber(radius)} ${svgNumber(radius)} 0 1 ${flag} ${svgNumber(start.x)} ${svgNumber(start.y)}`);
+      this._current = start;
+      return;
+    }
+    const large = sweepAngle > Math.PI ? 1 : 0;
+    this._path.push(`A${svgNumber(radius)} ${svgNumber(radius)} 0 ${large} ${counterclockwise ? 0 : 1} ${svgNumber(end.x)} ${svgNumber(end.y)}`);
+    this._current = end;
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  }
+
+  closePath() {
+    this._path.push('Z');
+    this._current = { ...this._start };
+  }
+
+  _paint(style, prefix) {
+    if (style instanceof SvgGradient) return `${prefix}="url(#${style.id})"`;
+    const { color, opacity } = svgColor(style);
+    return `${prefix}="${escapeXml(color)}"${opacity !== 1 ? ` ${prefix}-opacity="${svgNumber(opacity)}"` : ''}`;
+  }
+
+  _common() {
+    const { globalAlpha, transform, clip } = this._state;
+    let attrs = '';
+    if (globalAlpha !== 1) attrs += ` opacity="${svgNumber(globalAlpha)}"`;
+    if (transform) attrs += ` transform="${transform.trim()}"`;
+    if (clip) attrs += ` clip-path="url(#${clip})"`;
+    return attrs;
+  }
+
+  clip() {
+    const id = `${this._idPrefix}-clip-${this._defs.length}`;
+    this._defs.push(`<clipPath id="${id}"><path d="${this._path.join('')}"/></clipPath>`);
+    this._state.clip = id;
+  }
+
+  fill() {
+    if (this._path.length === 0) return;
+    this._elements.push(`<path d="${this._path.join('')}" ${this._paint(this._state.fillStyle, 'fill')}${this._common()}/>`);
+  }
+
+  stroke() {
+    if (this._path.length === 0) return;
+    const { strokeStyle, lineWidth, lineCap, lineJoin, lineDash } = this._state;
+    let attrs = `fill="none" ${this._paint(strokeStyle, 'stroke')} stroke-width="${svgNumber(lineWidth)}"`;
+    if (lineCap !== 'butt') attrs += ` stroke-linecap="${lineCap}"`;
+    if (lineJoin !== 'miter') attrs += ` stroke-linejoin="${lineJoin}"`;
+    if (lineDash.length > 0) attrs += ` stroke-dasharray="${lineDash.map(svgNumber).join(' ')}"`;
+    this._elements.push(`<path d="${this._path.join('')}" ${attrs}${this._common()}/>`);
+  }
+
+  fillText(text, x, y) {
+    const anchors = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+    const baselines = { top: 'hanging', hanging: 'hanging', middle: 'middle', bottom: 'text-after-edge', ideographic: 'ideographic' };
+    const { font, textAlign, textBaseline } = this._state;
+    let attrs = `x="${svgNumber(x)}" y="${svgNumber(y)}" style="font: ${escapeXml(font)}" ${this._paint(this._state.fillStyle, 'fill')}`;
+    if (anchors[textAlign] !== 'start') attrs += ` text-anchor="${anchors[textAlign] || 'start'}"`;
+    if (baselines[textBaseline]) attrs += ` dominant-baseline="${baselines[textBaseline]}"`;
+    this._elements.push(`<text ${attrs}${this._common()}>${escapeXml(text)}</text>`);
+  }
+
+  toSVG(width, height, background) {
+    const defs = this._defs.length > 0 ? `<defs>${this._defs.join('')}</defs>` : '';
+    const backdrop = background
+      ? `<rect width="100%" height="100%" ${this._paint(background, 'fill')}/>`
+      : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${svgNumber(width)}" height="${svgNumber(height)}" `
+      + `viewBox="0 0 ${svgNumber(width)} ${svgNumber(height)}">${defs}${backdrop}${this._elements.join('')}</svg>`;
+  }
+}
+
+['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'globalAlpha', 'font', 'textAlign', 'textBaseline']
+  .forEach(prop => {
+    Object.defineProperty(SvgContext.prototype, prop, {
+      get() { return this._state[prop]; },
+      set(value) { this._state[prop] = value; }
+    });
+  });
+
+/**
+ * Export a sankey chart as a standalone SVG string. Flows, gradients, nodes and
+ * labels are painted by the same code that draws the canvas, without hover or
+ * focus highlights.
+ * @param {Chart|Object} source - A chart, or a layout from controller.getLayout()
+ * @param {Object} [options]
+ * @param {string} [options.background] - Fill behind the diagram (transparent by default)
+ * @param {Object} [options.font] - Label font for layouts: { size, family }
+ * @param {string} [options.labelColor] - Label color for layouts
+ * @param {string} [options.idPrefix] - Start of the gradient and clip path IDs
+ *   (`sankey-<n>` by default, with n counting the exports)
+ * @returns {string} SVG markup
+ */
+export function toSVG(source, options = {}) {
+  const idPrefix = options.idPrefix ?? `sankey-${svgExportCount++}`;
+  if (source instanceof Chart) {
+    const svg = new SvgContext(source.ctx, idPrefix);
+    // Same order as Chart.js draws datasets: last in sort order first
+    const metas = source.getSortedVisibleDatasetMetas().filter(meta => meta.type === 'sankey');
+    for (let i = metas.length - 1; i >= 0; i--) {
+      metas[i].controller._render(svg, false);
+    }
+    return svg.toSVG(source.width, source.height, options.background);
+  }
+
+  // A plain layout: flows are drawn by FlowElement, nodes as boxes with labels
+  // next to them (inside edge columns pointing away from the diagram)
+  const { width, height, nodes = [], flows = [] } = source;
+  const isVertical = source.orientation === 'vertical';
+  const svg = new SvgContext(null, idPrefix);
+  for (const flow of flows) {
+    const element = new FlowElement();
+    Object.assign(element, flow);
+    element.draw(svg);
+  }
+  const maxLevel = Math.max(0, ...nodes.map(node => node.level || 0));
+  const fontSize = options.font?.size || 12;
+  svg.font = `${fontSize}px ${options.font?.family || 'sans-serif'}`;
+  const padding = 5;
+  for (const node of nodes) {
+    svg.fillStyle = node.color || 'rgba(0, 0, 0, 0.8)';
+    svg.beginPath();
+    svg.rect(node.x, node.y, node.width, node.height);
+    svg.fill();
+
+    svg.fillStyle = options.labelColor || 'rgba(0, 0, 0, 1)';
+    const text = node.label ?? node.id;
+    if (isVertical) {
+      const below = maxLevel > 0 && node.level === maxLevel;
+      svg.textAlign = 'center';
+      svg.textBaseline = below ? 'top' : 'bottom';
+      svg.fillText(text, node.x + node.width / 2, below ? node.y + node.height + padding : node.y - padding);
+    } else {
+      const left = maxLevel > 0 && node.level === maxLevel;
+      svg.textAlign = left ? 'right' : 'left';
+      svg.textBaseline = 'middle';
+      svg.fillText(text, left ? node.x - padding : node.x + node.width + padding, node.y + node.height / 2);
+    }
+  }
+  return svg.toSVG(width, height, options.background);
+}
+
 Chart.register(SankeyController, FlowElement);
 
 export { FlowElement as Flow };
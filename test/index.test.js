@@ -1,13 +1,31 @@
 import { describe, it, expect } from 'vitest';
+import { Chart, Interaction, Tooltip, registerables } from 'chart.js';
 import {
   isValidFlow,
+  validateFlows,
   buildNodes,
   assignNodeLevels,
   groupByLevel,
   reorderNodes,
-  FlowElement
+  findCircularLinks,
+  relaxNodes,
+  truncateText,
+  wrapText,
+  collapseFlows,
+  findNeighborhood,
+  mergeDuplicateFlows,
+  groupSmallFlows,
+  fromD3Sankey,
+  fromMatrix,
+  fromCSV,
+  fromTree,
+  toSVG,
+  FlowElement,
+  SankeyController
 } from '../src/index.js';
 
+Chart.register(...registerables);
+
 // ── isValidFlow ──
 
 describe('isValidFlow', () => {
@@ -60,6 +78,64 @@ describe('isValidFlow', () => {
   });
 });
 
+// ── validateFlows ──
+
+describe('validateFlows', () => {
+  it('returns no issues for valid, balanced data', () => {
+    expect(validateFlows([
+      { from: 'A', to: 'B', flow: 5 },
+      { from: 'B', to: 'C', flow: 5 }
+    ])).toEqual([]);
+  });
+
+  it('reports each rejected data point with its index and reason', () => {
+    const issues = validateFlows([
+      null,
+      { from: '', to: 'B', flow: 1 },
+      { from: 'A', to: 3, flow: 1 },
+      { from: 'A', to: 'B', flow: NaN },
+      { from: 'A', to: 'B', flow: -1 },
+      { from: 'A', to: 'B', flow: 0 }
+    ]);
+    expect(issues.map(({ index, reason }) => [index, reason])).toEqual([
+      [0, 'not-an-object'],
+      [1, 'invalid-from'],
+      [2, 'invalid-to'],
+      [3, 'invalid-flow'],
+      [4, 'negative-flow'],
+      [5, 'zero-flow']
+    ]);
+    expect(issues[4].message).toBe('data[4]: flow is negative (-1)');
+  });
+
+  it('reports self-loops', () => {
+    const issues = validateFlows([{ from: 'A', to: 'A', flow: 2 }]);
+    expect(issues[0]).toMatchObject({ index: 0, reason: 'self-loop' });
+  });
+
+  it('reports nodes whose inflow and outflow differ', () => {
+    const issues = validateFlows([
+      { from: 'A', to: 'B', flow: 10 },
+      { from: 'B', to: 'C', flow: 7 }
+    ]);
+    expect(issues).toEqual([{
+      node: 'B',
+      reason: 'unbalanced-node',
+      message: 'node "B" receives 10 but sends 7',
+      incoming: 10,
+      outgoing: 7
+    }]);
+  });
+
+  it('tolerates floating point rounding', () => {
+    expect(validateFlows([
+      { from: 'A', to: 'B', flow: 0.1 },
+      { from: 'A', to: 'B', flow: 0.2 },
+      { from: 'B', to: 'C', flow: 0.3 }
+    ])).toEqual([]);
+  });
+});
+
 // ── buildNodes ──
 
 describe('buildNodes', () => {
@@ -91,6 +167,26 @@ describe('buildNodes', () => {
   it('returns empty map for empty data', () => {
     expect(buildNodes([]).size).toBe(0);
   });
+
+  it('applies node records', () => {
+    const config = { A: { label: 'Alpha', description: 'First', region: 'EU' } };
+    const nodes = buildNodes([{ from: 'A', to: 'B', flow: 10 }], config);
+    expect(nodes.get('A').label).toBe('Alpha');
+    expect(nodes.get('A').description).toBe('First');
+    expect(nodes.get('A').config.region).toBe('EU');
+    expect(nodes.get('B')).toEqual({ id: 'B', incoming: 10, outgoing: 0, value: 10 });
+  });
+
+  it('defaults the label to the node ID', () => {
+    const nodes = buildNodes([{ from: 'A', to: 'B', flow: 10 }], { A: { column: 0 } });
+    expect(nodes.get('A').label).toBe('A');
+  });
+
+  it('overrides the node value', () => {
+    const nodes = buildNodes([{ from: 'A', to: 'B', flow: 10 }], { B: { value: 25 } });
+    expect(nodes.get('B').value).toBe(25);
+    expect(nodes.get('B').incoming).toBe(10);
+  });
 });
 
 // ── assignNodeLevels ──
@@ -145,6 +241,28 @@ describe('assignNodeLevels', () => {
     expect(levels.get('C')).toBe(2);
   });
 
+  it('places a node one level after its furthest predecessor', () => {
+    const data = [
+      { from: 'A', to: 'B', flow: 10 },
+      { from: 'B', to: 'C', flow: 10 },
+      { from: 'A', to: 'C', flow: 10 }
+    ];
+    const levels = assignNodeLevels(data, makeNodes(data));
+    expect(levels.get('C')).toBe(2);
+  });
+
+  it('ignores back-edges when layering a cycle', () => {
+    const data = [
+      { from: 'Start', to: 'Queue', flow: 10 },
+      { from: 'Queue', to: 'Retry', flow: 4 },
+      { from: 'Retry', to: 'Queue', flow: 4 }
+    ];
+    const levels = assignNodeLevels(data, makeNodes(data));
+    expect(levels.get('Start')).toBe(0);
+    expect(levels.get('Queue')).toBe(1);
+    expect(levels.get('Retry')).toBe(2);
+  });
+
   it('handles multiple roots', () => {
     const data = [
       { from: 'A', to: 'C', flow: 10 },
@@ -222,6 +340,169 @@ describe('assignNodeLevels', () => {
   });
 });
 
+describe('assignNodeLevels nodeAlign', () => {
+  // A → B → C → D, with an early exit B → Exit
+  const data = [
+    { from: 'A', to: 'B', flow: 10 },
+    { from: 'B', to: 'C', flow: 6 },
+    { from: 'C', to: 'D', flow: 6 },
+    { from: 'B', to: 'Exit', flow: 4 },
+    { from: 'S', to: 'C', flow: 2 }
+  ];
+  const nodes = buildNodes(data);
+
+  it('left keeps sinks at their depth', () => {
+    const levels = assignNodeLevels(data, nodes, null, 'left');
+    expect(levels.get('Exit')).toBe(2);
+    expect(levels.get('S')).toBe(0);
+  });
+
+  it('justify pushes sinks to the last column', () => {
+    const levels = assignNodeLevels(data, nodes, null, 'justify');
+    expect(levels.get('Exit')).toBe(3);
+    expect(levels.get('D')).toBe(3);
+    expect(levels.get('B')).toBe(1);
+  });
+
+  it('right aligns by distance to the furthest sink', () => {
+    const levels = assignNodeLevels(data, nodes, null, 'right');
+    expect(levels.get('Exit')).toBe(3);
+    expect(levels.get('S')).toBe(1);
+    expect(levels.get('A')).toBe(0);
+  });
+
+  it('center moves sources next to their nearest target', () => {
+    const levels = assignNodeLevels(data, nodes, null, 'center');
+    expect(levels.get('S')).toBe(1);
+    expect(levels.get('A')).toBe(0);
+    expect(levels.get('Exit')).toBe(2);
+  });
+
+  it('accepts a custom align function', () => {
+    const levels = assignNodeLevels(data, nodes, null, (node, n) => n - 1 - node.depth);
+    expect(levels.get('A')).toBe(3);
+    expect(levels.get('D')).toBe(0);
+  });
+
+  it('keeps pinned columns', () => {
+    const levels = assignNodeLevels(data, nodes, { Exit: { column: 1 } }, 'justify');
+    expect(levels.get('Exit')).toBe(1);
+    expect(levels.get('D')).toBe(3);
+  });
+});
+
+// ── findCircularLinks ──
+
+describe('findCircularLinks', () => {
+  it('detects a back-edge closing a cycle', () => {
+    const data = [
+      { from: 'A', to: 'B', flow: 10 },
+      { from: 'B', to: 'C', flow: 10 },
+      { from: 'C', to: 'A', flow: 5 }
+    ];
+    const circular = findCircularLinks(data);
+    expect(circular.size).toBe(1);
+    expect(circular.has(data[2])).toBe(true);
+  });
+
+  it('treats self-loops as circular', () => {
+    const data = [
+      { from: 'A', to: 'B', flow: 10 },
+      { from: 'B', to: 'B', flow: 2 }
+    ];
+    expect(findCircularLinks(data).has(data[1])).toBe(true);
+  });
+
+  it('includes flows pointing backwards because of pinned columns', () => {
+    const data = [{ from: 'A', to: 'B', flow: 10 }];
+    const levels = new Map([['A', 2], ['B', 0]]);
+    expect(findCircularLinks(data).size).toBe(0);
+    expect(findCircularLinks(data, levels).has(data[0])).toBe(true);
+  });
+
+  it('returns an empty set for acyclic data', () => {
+    const data = [
+      { from: 'A', to: 'B', flow: 10 },
+      { from: 'A', to: 'C', flow: 10 },
+      { from: 'B', to: 'C', flow: 10 }
+    ];
+    const levels = assignNodeLevels(data, buildNodes(data));
+    expect(findCircularLinks(data, levels).size).toBe(0);
+  });
+});
+
+// ── collapseFlows ──
+
+describe('collapseFlows', () => {
+  const data = [
+    { from: 'Budget', to: 'Ops', flow: 10 },
+    { from: 'Ops', to: 'Rent', flow: 4 },
+    { from: 'Ops', to: 'Salaries', flow: 6 },
+    { from: 'Rent', to: 'HQ', flow: 4 },
+    { from: 'R&D', to: 'Salaries', flow: 5 }
+  ];
+
+  it('folds the exclusive downstream subtree into the collapsed node', () => {
+    const { data: folded, owners } = collapseFlows(data, ['Ops']);
+    expect(folded[0]).toBe(data[0]);
+    expect(folded[1]).toBeNull();
+    expect(folded[3]).toBeNull();
+    expect(owners.get('Rent')).toBe('Ops');
+    expect(owners.get('HQ')).toBe('Ops');
+  });
+
+  it('keeps nodes that are also fed from outside the subtree', () => {
+    const { data: folded, owners } = collapseFlows(data, ['Ops']);
+    expect(owners.has('Salaries')).toBe(false);
+    expect(folded[2]).toBe(data[2]);
+    expect(folded[4]).toBe(data[4]);
+  });
+
+  it('re-routes flows leaving the subtree to start at the collapsed node', () => {
+    const withExit = [...data, { from: 'Rent', to: 'Salaries', flow: 1 }];
+    const { data: folded } = collapseFlows(withExit, ['Ops']);
+    expect(folded[5]).toEqual({ from: 'Ops', to: 'Salaries', flow: 1 });
+    const nodes = buildNodes(folded.filter(Boolean));
+    expect(nodes.get('Ops').outgoing).toBe(7);
+  });
+
+  it('folds nested collapsed nodes into the outermost one', () => {
+    const { owners } = collapseFlows(data, ['Ops', 'Rent']);
+    expect(owners.get('HQ')).toBe('Ops');
+    expect(owners.get('Rent')).toBe('Ops');
+  });
+
+  it('returns the data unchanged when nothing is collapsed', () => {
+    const { data: folded, owners } = collapseFlows(data, []);
+    expect(folded).toEqual(data);
+    expect(owners.size).toBe(0);
+  });
+});
+
+// ── findNeighborhood ──
+
+describe('findNeighborhood', () => {
+  const data = [
+    { from: 'A', to: 'B', flow: 5 },
+    { from: 'B', to: 'C', flow: 5 },
+    { from: 'C', to: 'D', flow: 5 },
+    { from: 'X', to: 'B', flow: 2 }
+  ];
+
+  it('follows flows in both directions', () => {
+    expect([...findNeighborhood(data, 'B')].sort()).toEqual(['A', 'B', 'C', 'X']);
+  });
+
+  it('limits the neighborhood to the given number of hops', () => {
+    expect([...findNeighborhood(data, 'A', 2)].sort()).toEqual(['A', 'B', 'C', 'X']);
+    expect([...findNeighborhood(data, 'A', 0)]).toEqual(['A']);
+  });
+
+  it('returns just the node when it has no flows', () => {
+    expect([...findNeighborhood(data, 'Z', 3)]).toEqual(['Z']);
+  });
+});
+
 // ── groupByLevel ──
 
 describe('groupByLevel', () => {
@@ -266,6 +547,83 @@ describe('reorderNodes', () => {
   });
 });
 
+// ── relaxNodes ──
+
+describe('relaxNodes', () => {
+  const options = { iterations: 6, padding: 10, start: 0, end: 200 };
+
+  it('moves a node toward the center of its neighbors', () => {
+    const columns = [
+      [{ id: 'A', pos: 0, size: 40 }, { id: 'B', pos: 150, size: 40 }],
+      [{ id: 'C', pos: 80, size: 40 }]
+    ];
+    relaxNodes(columns, [{ from: 'B', to: 'C', flow: 10 }], options);
+    expect(columns[1][0].pos).toBeCloseTo(150, 0);
+  });
+
+  it('keeps nodes apart by the padding and inside the bounds', () => {
+    const columns = [
+      [{ id: 'A', pos: 80, size: 40 }],
+      [{ id: 'C', pos: 0, size: 40 }, { id: 'D', pos: 100, size: 40 }]
+    ];
+    relaxNodes(columns, [
+      { from: 'A', to: 'C', flow: 10 },
+      { from: 'A', to: 'D', flow: 10 }
+    ], options);
+    const [c, d] = columns[1];
+    expect(d.pos - (c.pos + c.size)).toBeGreaterThanOrEqual(10 - 1e-9);
+    expect(c.pos).toBeGreaterThanOrEqual(0);
+    expect(d.pos + d.size).toBeLessThanOrEqual(200);
+  });
+
+  it('leaves positions unchanged with zero iterations', () => {
+    const columns = [[{ id: 'A', pos: 0, size: 40 }], [{ id: 'B', pos: 150, size: 40 }]];
+    relaxNodes(columns, [{ from: 'A', to: 'B', flow: 1 }], { ...options, iterations: 0 });
+    expect(columns[1][0].pos).toBe(150);
+  });
+});
+
+// ── truncateText / wrapText ──
+
+describe('truncateText', () => {
+  const measure = text => text.length * 6;
+
+  it('leaves text that fits unchanged', () => {
+    expect(truncateText('Coal', 24, measure)).toBe('Coal');
+  });
+
+  it('ends text that does not fit with an ellipsis', () => {
+    const text = truncateText('Natural gas', 36, measure);
+    expect(text).toBe('Natur…');
+    expect(measure(text)).toBeLessThanOrEqual(36);
+  });
+
+  it('drops trailing spaces before the ellipsis', () => {
+    expect(truncateText('Oil and gas', 30, measure)).toBe('Oil…');
+  });
+
+  it('returns an empty string when not even the ellipsis fits', () => {
+    expect(truncateText('Coal', 4, measure)).toBe('');
+  });
+});
+
+describe('wrapText', () => {
+  const measure = text => text.length * 6;
+
+  it('breaks text at whitespace into lines that fit', () => {
+    expect(wrapText('Residential and commercial buildings', 100, measure))
+      .toEqual(['Residential and', 'commercial', 'buildings']);
+  });
+
+  it('keeps a word wider than the limit on its own line', () => {
+    expect(wrapText('Electricity grid', 30, measure)).toEqual(['Electricity', 'grid']);
+  });
+
+  it('returns a single line for text that fits', () => {
+    expect(wrapText('Coal', 100, measure)).toEqual(['Coal']);
+  });
+});
+
 // ── FlowElement ──
 
 describe('FlowElement', () => {
@@ -349,6 +707,185 @@ describe('FlowElement', () => {
     });
   });
 
+  describe('link shapes', () => {
+    const diagonal = { x: 0, y: 0, x2: 100, y2: 100, height: 10, height2: 10 };
+
+    it('hit-tests the bezier curve rather than a straight line', () => {
+      const el = makeElement(diagonal);
+      expect(el.inRange(25, 11)).toBe(true);
+      expect(el.inRange(25, 25)).toBe(false);
+    });
+
+    it('flattens the curve with a lower curvature', () => {
+      const el = makeElement({ ...diagonal, curvature: 0.1 });
+      expect(el.inRange(25, 11)).toBe(false);
+      expect(el.inRange(25, 25)).toBe(true);
+    });
+
+    it('hit-tests straight bands along the line', () => {
+      const el = makeElement({ ...diagonal, linkShape: 'straight' });
+      expect(el.inRange(25, 25)).toBe(true);
+      expect(el.inRange(25, 11)).toBe(false);
+    });
+
+    it('hit-tests stepped bands along their three legs', () => {
+      const el = makeElement({ x: 0, y: 10, x2: 100, y2: 90, height: 10, height2: 10, linkShape: 'step' });
+      expect(el.inRange(25, 10)).toBe(true);
+      expect(el.inRange(50, 50)).toBe(true);
+      expect(el.inRange(75, 90)).toBe(true);
+      expect(el.inRange(25, 50)).toBe(false);
+      expect(el.inRange(75, 50)).toBe(false);
+    });
+
+    it('narrows to an arrowhead at the target', () => {
+      const el = makeElement({ x: 0, y: 50, x2: 100, y2: 50, height: 20, height2: 20, arrowLength: 20 });
+      expect(el.inRange(85, 56)).toBe(true);
+      expect(el.inRange(95, 50)).toBe(true);
+      expect(el.inRange(95, 58)).toBe(false);
+    });
+
+    it('draws and hit-tests a custom path', () => {
+      const calls = [];
+      const linkShape = (ctx, flow) => {
+        calls.push(flow);
+        ctx.rect(flow.x, flow.y - 5, flow.x2 - flow.x, 10);
+      };
+      const el = makeElement({ x: 0, y: 50, x2: 100, y2: 90, height: 10, height2: 10, linkShape });
+      expect(el.inRange(50, 52)).toBe(true);
+      expect(el.inRange(50, 70)).toBe(false);
+      expect(calls[0]).toBe(el);
+    });
+  });
+
+  describe('borders and patterns', () => {
+    function recordingContext() {
+      const calls = [];
+      const ctx = { calls };
+      for (const name of ['save', 'restore', 'beginPath', 'moveTo', 'lineTo', 'bezierCurveTo', 'closePath',
+        'fill', 'stroke', 'clip', 'arc', 'arcTo', 'rect', 'setLineDash']) {
+        ctx[name] = (...args) => calls.push({ name, args, strokeStyle: ctx.strokeStyle, lineWidth: ctx.lineWidth });
+      }
+      return ctx;
+    }
+    const band = { x: 0, y: 50, x2: 100, y2: 50, height: 20, height2: 20, color: 'blue' };
+
+    it('strokes the outline with the border width and dash', () => {
+      const ctx = recordingContext();
+      makeElement({ ...band, borderColor: 'black', borderWidth: 2, borderDash: [4, 2] }).draw(ctx);
+      const stroke = ctx.calls.find(c => c.name === 'stroke');
+      expect(stroke).toMatchObject({ strokeStyle: 'black', lineWidth: 2 });
+      expect(ctx.calls.some(c => c.name === 'setLineDash' && c.args[0].join() === '4,2')).toBe(true);
+    });
+
+    it('uses the hover border while active', () => {
+      const ctx = recordingContext();
+      const el = makeElement({ ...band, borderColor: 'black', borderWidth: 1, hoverBorderWidth: 3, active: true });
+      el.draw(ctx);
+      expect(ctx.calls.find(c => c.name === 'stroke').lineWidth).toBe(3);
+    });
+
+    it('draws no border without a width', () => {
+      const ctx = recordingContext();
+      makeElement({ ...band, borderColor: 'black' }).draw(ctx);
+      expect(ctx.calls.some(c => c.name === 'stroke')).toBe(false);
+    });
+
+    it('clips hatching to the band', () => {
+      const ctx = recordingContext();
+      makeElement({ ...band, pattern: { type: 'hatch', color: 'gray', spacing: 10, lineWidth: 1 } }).draw(ctx);
+      const names = ctx.calls.map(c => c.name);
+      expect(names.indexOf('clip')).toBeGreaterThan(names.indexOf('fill'));
+      expect(ctx.calls.find(c => c.name === 'stroke').strokeStyle).toBe('gray');
+    });
+
+    it('uses the hover pattern while active', () => {
+      const ctx = recordingContext();
+      makeElement({
+        ...band,
+        pattern: { type: 'hatch', color: 'gray', spacing: 10, lineWidth: 1 },
+        hoverPattern: { type: 'hatch', color: 'red', spacing: 10, lineWidth: 1 },
+        active: true
+      }).draw(ctx);
+      expect(ctx.calls.find(c => c.name === 'stroke').strokeStyle).toBe('red');
+    });
+
+    it('hatches circular flows clipped to the loop', () => {
+      const ctx = recordingContext();
+      makeElement({
+        x: 100, y: 60, x2: 20, y2: 80, height: 10, height2: 10, color: 'blue',
+        circular: true, loopPos: 10, legOffset: 15,
+        pattern: { type: 'hatch', color: 'gray', spacing: 10, lineWidth: 1 }
+      }).draw(ctx);
+      const names = ctx.calls.map(c => c.name);
+      const clip = names.indexOf('clip');
+      expect(clip).toBeGreaterThan(0);
+      // The loop outline is filled and then clipped to, never stroked as a wide line
+      expect(names.slice(0, clip)).toContain('fill');
+      expect(names.slice(0, clip)).not.toContain('stroke');
+      expect(names.lastIndexOf('beginPath', clip)).toBeLessThan(names.indexOf('fill'));
+      expect(ctx.calls.slice(clip).some(c => c.name === 'stroke' && c.strokeStyle === 'gray')).toBe(true);
+    });
+  });
+
+  describe('circular flows', () => {
+    // Loop leaves right face at x=100, goes up to y=10 and re-enters left face at x=20
+    const loop = {
+      x: 100, y: 60, x2: 20, y2: 80, height: 10, height2: 10,
+      circular: true, loopPos: 10, legOffset: 15
+    };
+
+    it('is in range along the return leg', () => {
+      const el = makeElement(loop);
+      expect(el.inRange(60, 10)).toBe(true);
+      expect(el.inRange(60, 14)).toBe(true);
+    });
+
+    it('is in range along the source and target legs', () => {
+      const el = makeElement(loop);
+      expect(el.inRange(115, 35)).toBe(true);
+      expect(el.inRange(5, 50)).toBe(true);
+    });
+
+    it('is not in range inside the loop', () => {
+      const el = makeElement(loop);
+      expect(el.inRange(60, 40)).toBe(false);
+      expect(el.inRange(60, 70)).toBe(false);
+    });
+
+    it('routes vertical loops around the side', () => {
+      const el = makeElement({
+        x: 60, y: 100, x2: 80, y2: 20, height: 10, height2: 10,
+        circular: true, loopPos: 10, legOffset: 15, orientation: 'vertical'
+      });
+      expect(el.inRange(10, 60)).toBe(true);
+      expect(el.inRange(40, 60)).toBe(false);
+    });
+
+    it('centers on the return leg', () => {
+      const el = makeElement(loop);
+      expect(el.getCenterPoint()).toEqual({ x: 60, y: 10 });
+    });
+
+    it('tapers from the source height to the target height', () => {
+      const calls = [];
+      const ctx = {};
+      for (const name of ['save', 'restore', 'beginPath', 'moveTo', 'lineTo', 'closePath', 'fill', 'stroke', 'setLineDash']) {
+        ctx[name] = (...args) => calls.push({ name, args });
+      }
+      makeElement({ ...loop, height2: 20, color: 'blue' }).draw(ctx);
+      const points = calls.filter(c => c.name === 'moveTo' || c.name === 'lineTo').map(c => c.args.join());
+      // Source face spans y ± 5, target face spans y2 ± 10
+      expect(points).toEqual(expect.arrayContaining(['100,55', '100,65', '20,70', '20,90']));
+      expect(calls.some(c => c.name === 'fill')).toBe(true);
+      expect(calls.some(c => c.name === 'stroke')).toBe(false);
+    });
+
+    it('is in range over the wider target end', () => {
+      expect(makeElement(loop).inRange(12, 70)).toBe(false);
+      expect(makeElement({ ...loop, height2: 20 }).inRange(12, 70)).toBe(true);
+    });
+  });
+
   describe('getCenterPoint', () => {
     it('returns midpoint of source and target', () => {
       const el = makeElement({ x: 10, y: 20, x2: 100, y2: 80 });
@@ -368,3 +905,1346 @@ describe('FlowElement', () => {
     });
   });
 });
+
+// ── mergeDuplicateFlows ──
+
+describe('mergeDuplicateFlows', () => {
+  it('sums duplicate pairs into the first entry and keeps the records', () => {
+    const data = [
+      { from: 'A', to: 'B', flow: 2 },
+      { from: 'A', to: 'C', flow: 1 },
+      { from: 'A', to: 'B', flow: 3 }
+    ];
+    const result = mergeDuplicateFlows(data);
+    expect(result[0]).toMatchObject({ from: 'A', to: 'B', flow: 5 });
+    expect(result[0].records).toEqual([data[0], data[2]]);
+    expect(result[1]).toBe(data[1]);
+    expect(result[2]).toBeNull();
+  });
+
+  it('treats opposite directions as different flows and skips invalid entries', () => {
+    const data = [{ from: 'A', to: 'B', flow: 2 }, { from: 'B', to: 'A', flow: 1 }, null];
+    expect(mergeDuplicateFlows(data)).toEqual(data);
+  });
+});
+
+// ── groupSmallFlows ──
+
+describe('groupSmallFlows', () => {
+  const data = [
+    { from: 'A', to: 'B', flow: 6 },
+    { from: 'A', to: 'C', flow: 3 },
+    { from: 'A', to: 'D', flow: 1 },
+    { from: 'A', to: 'E', flow: 0.5 },
+    { from: 'D', to: 'F', flow: 1 },
+    { from: 'B', to: 'F', flow: 6 }
+  ];
+  const levelsOf = d => assignNodeLevels(d, buildNodes(d));
+
+  it('folds the smallest nodes of crowded columns into an Other node', () => {
+    const { data: result, others } = groupSmallFlows(data, levelsOf(data), { maxNodesPerColumn: 3 });
+    expect(others.get('__other_1')).toEqual({ level: 1, members: ['D', 'E'] });
+    expect(result[2]).toMatchObject({ from: 'A', to: '__other_1', flow: 1 });
+    expect(result[3]).toMatchObject({ from: 'A', to: '__other_1', flow: 0.5 });
+    expect(result[4]).toMatchObject({ from: '__other_1', to: 'F' });
+    expect(result[0]).toBe(data[0]);
+  });
+
+  it('folds nodes and re-routes flows below minFlow', () => {
+    const input = [...data, { from: 'C', to: 'F', flow: 1 }];
+    const { data: result, others } = groupSmallFlows(input, levelsOf(input), { minFlow: 2 });
+    expect(others.get('__other_1').members).toEqual(['D', 'E']);
+    expect(result[6]).toMatchObject({ from: 'C', to: '__other_2', flow: 1 });
+    expect(others.get('__other_2').members).toEqual(['F']);
+  });
+
+  it('leaves expanded columns alone', () => {
+    const { data: result, others } = groupSmallFlows(data, levelsOf(data), {
+      maxNodesPerColumn: 3,
+      expanded: ['__other_1']
+    });
+    expect(others.size).toBe(0);
+    expect(result).toEqual(data);
+  });
+
+  it('drops flows inside one Other node', () => {
+    const input = [{ from: 'A', to: 'B', flow: 5 }, { from: 'A', to: 'C', flow: 1 }, { from: 'C', to: 'D', flow: 1 }];
+    const levels = new Map([['A', 0], ['B', 1], ['C', 1], ['D', 1]]);
+    const { data: result } = groupSmallFlows(input, levels, { minFlow: 2 });
+    expect(result[2]).toBeNull();
+  });
+});
+
+// ── Data adapters ──
+
+describe('fromD3Sankey', () => {
+  it('resolves numeric link indices to node names', () => {
+    const { data } = fromD3Sankey({
+      nodes: [{ name: 'A' }, { name: 'B' }],
+      links: [{ source: 0, target: 1, value: 5 }]
+    });
+    expect(data).toEqual([{ from: 'A', to: 'B', flow: 5 }]);
+  });
+
+  it('uses ids and keeps names as labels', () => {
+    const { data, nodes } = fromD3Sankey({
+      nodes: [{ id: 'a', name: 'Alpha' }, { id: 'b' }],
+      links: [{ source: 'a', target: 'b', value: 2 }]
+    });
+    expect(data).toEqual([{ from: 'a', to: 'b', flow: 2 }]);
+    expect(nodes).toEqual({ a: { label: 'Alpha' } });
+  });
+
+  it('accepts node objects as link ends and falls back to indices', () => {
+    const graph = { nodes: [{}, {}], links: [] };
+    graph.links.push({ source: graph.nodes[0], target: graph.nodes[1], value: 1 });
+    expect(fromD3Sankey(graph).data).toEqual([{ from: '0', to: '1', flow: 1 }]);
+  });
+});
+
+describe('fromMatrix', () => {
+  it('creates a flow per non-zero cell and skips the diagonal', () => {
+    const { data } = fromMatrix([[5, 2, 0], [1, 0, 3], [0, 0, 9]], ['A', 'B', 'C']);
+    expect(data).toEqual([
+      { from: 'A', to: 'B', flow: 2 },
+      { from: 'B', to: 'A', flow: 1 },
+      { from: 'B', to: 'C', flow: 3 }
+    ]);
+  });
+
+  it('supports separate row and column labels', () => {
+    const { data } = fromMatrix([[1, 2]], ['Home'], ['Work', 'Home']);
+    expect(data).toEqual([{ from: 'Home', to: 'Work', flow: 1 }]);
+  });
+});
+
+describe('fromCSV', () => {
+  it('finds source, target and value columns by header name', () => {
+    const { data } = fromCSV('value,target,source\n3,B,A\n4,C,A\n');
+    expect(data).toEqual([
+      { from: 'A', to: 'B', flow: 3 },
+      { from: 'A', to: 'C', flow: 4 }
+    ]);
+  });
+
+  it('detects tabs and handles quoted fields', () => {
+    const { data } = fromCSV('from\tto\tflow\r\n"Oil, crude"\tRefinery\t10');
+    expect(data).toEqual([{ from: 'Oil, crude', to: 'Refinery', flow: 10 }]);
+    expect(fromCSV('from,to,flow\n"Say ""hi""",B,1').data[0].from).toBe('Say "hi"');
+  });
+
+  it('reads headerless text by position or given columns', () => {
+    expect(fromCSV('A,B,1', { header: false }).data).toEqual([{ from: 'A', to: 'B', flow: 1 }]);
+    expect(fromCSV('1,A,B', { header: false, columns: { flow: 0, from: 1, to: 2 } }).data)
+      .toEqual([{ from: 'A', to: 'B', flow: 1 }]);
+  });
+
+  it('keeps unparseable values as NaN so they are rejected as flows', () => {
+    const { data } = fromCSV('source,target,value\nA,B,lots');
+    expect(data[0].flow).toBeNaN();
+    expect(isValidFlow(data[0])).toBe(false);
+  });
+});
+
+describe('fromTree', () => {
+  it('sums descendant values for parents without a value', () => {
+    const { data } = fromTree({
+      name: 'Budget',
+      children: [
+        { name: 'Ops', children: [{ name: 'Rent', value: 3 }, { name: 'Staff', value: 7 }] },
+        { name: 'R&D', value: 5 }
+      ]
+    });
+    expect(data).toEqual([
+      { from: 'Budget', to: 'Ops', flow: 10 },
+      { from: 'Ops', to: 'Rent', flow: 3 },
+      { from: 'Ops', to: 'Staff', flow: 7 },
+      { from: 'Budget', to: 'R&D', flow: 5 }
+    ]);
+  });
+
+  it('supports custom keys', () => {
+    const { data } = fromTree({ key: 'root', items: [{ key: 'leaf', size: 2 }] },
+      { id: 'key', children: 'items', value: 'size' });
+    expect(data).toEqual([{ from: 'root', to: 'leaf', flow: 2 }]);
+  });
+});
+
+// ── parseObjectData ──
+
+describe('SankeyController.parseObjectData', () => {
+  const parse = (parsing, data) =>
+    SankeyController.prototype.parseObjectData.call({ _parsing: parsing }, null, data, 0, data.length);
+
+  it('uses records as they are with the default keys', () => {
+    const data = [{ from: 'A', to: 'B', flow: 1 }];
+    expect(parse(true, data)[0]).toBe(data[0]);
+  });
+
+  it('reads custom and nested keys from parsing', () => {
+    const data = [{ source: 'A', target: 'B', meta: { value: 4 }, color: 'red' }];
+    const [dp] = parse({ from: 'source', to: 'target', flow: 'meta.value' }, data);
+    expect(dp).toMatchObject({ from: 'A', to: 'B', flow: 4, color: 'red' });
+    expect(isValidFlow(dp)).toBe(true);
+  });
+
+  it('leaves missing nested values undefined', () => {
+    const [dp] = parse({ flow: 'meta.value' }, [{ from: 'A', to: 'B' }]);
+    expect(dp.flow).toBeUndefined();
+    expect(isValidFlow(dp)).toBe(false);
+  });
+});
+
+// ── getFlowShares ──
+
+describe('SankeyController.getFlowShares', () => {
+  it('divides a flow by its source outflow, target inflow and the total volume', () => {
+    const data = [
+      { from: 'A', to: 'B', flow: 3 },
+      { from: 'A', to: 'C', flow: 1 },
+      { from: 'D', to: 'C', flow: 4 }
+    ];
+    const controller = { _flowData: data, _shareNodes: buildNodes(data), _totalFlow: 8 };
+    const shares = SankeyController.prototype.getFlowShares.call(controller, 1);
+    expect(shares).toEqual({ ofSource: 0.25, ofTarget: 0.2, ofTotal: 0.125 });
+  });
+
+  it('returns null for missing and invalid flows', () => {
+    const data = [{ from: 'A', to: 'B', flow: 3 }, null, { from: 'A', to: 'B', flow: -1 }];
+    const controller = { _flowData: data, _shareNodes: buildNodes(data.slice(0, 1)), _totalFlow: 3 };
+    const getFlowShares = SankeyController.prototype.getFlowShares;
+    expect(getFlowShares.call(controller, 1)).toBe(null);
+    expect(getFlowShares.call(controller, 2)).toBe(null);
+    expect(getFlowShares.call(controller, 5)).toBe(null);
+    expect(getFlowShares.call({}, 0)).toBe(null);
+  });
+
+  it('gives 0 when there is nothing to divide by', () => {
+    const data = [{ from: 'A', to: 'B', flow: 2 }];
+    const controller = { _flowData: data, _shareNodes: new Map(), _totalFlow: 0 };
+    expect(SankeyController.prototype.getFlowShares.call(controller, 0))
+      .toEqual({ ofSource: 0, ofTarget: 0, ofTotal: 0 });
+  });
+
+  it('uses the flows as drawn, after merging duplicates and hiding nodes', () => {
+    const data = [
+      { from: 'A', to: 'B', flow: 3 },
+      { from: 'A', to: 'B', flow: 1 },
+      { from: 'A', to: 'C', flow: 4 },
+      { from: 'D', to: 'C', flow: 8 }
+    ];
+    const chart = makeChart([{ data, mergeDuplicates: true }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    expect(controller.getFlowShares(0)).toEqual({ ofSource: 0.5, ofTarget: 1, ofTotal: 0.25 });
+    expect(controller.getFlowShares(1)).toBe(null);
+    controller.setNodeVisibility('D', false);
+    expect(controller.getFlowShares(2)).toEqual({ ofSource: 0.5, ofTarget: 1, ofTotal: 0.5 });
+    chart.destroy();
+  });
+});
+
+// ── _measureLabel ──
+
+describe('SankeyController._measureLabel', () => {
+  const ctx = { font: '', measureText: text => ({ width: text.length * 6 }) };
+  const measure = (lines, rotation) => SankeyController.prototype._measureLabel.call({}, ctx, lines, rotation);
+  const font = { size: 10, family: 'sans-serif' };
+
+  it('sizes lines of segments by their widths and largest fonts', () => {
+    const size = measure([
+      [{ text: 'Revenue', font: { ...font, size: 20 } }],
+      [{ text: '$4.2M', font }, { text: ' 38%', font }]
+    ]);
+    expect(size.lines.map(line => line.width)).toEqual([42, 54]);
+    expect(size.textWidth).toBe(54);
+    expect(size.textHeight).toBeCloseTo(36);
+    expect([size.width, size.height]).toEqual([size.textWidth, size.textHeight]);
+  });
+
+  it('swaps the bounding box of a label turned a quarter', () => {
+    const size = measure([[{ text: 'Revenue', font }]], -90);
+    expect(size.width).toBeCloseTo(12);
+    expect(size.height).toBeCloseTo(42);
+  });
+});
+
+// ── toSVG ──
+
+describe('toSVG', () => {
+  const layout = {
+    width: 200,
+    height: 100,
+    nodes: [
+      { id: 'A', label: 'Alpha', level: 0, x: 0, y: 0, width: 10, height: 100, color: 'red' },
+      { id: 'B', label: 'B & C', level: 1, x: 190, y: 0, width: 10, height: 100, color: 'rgba(0, 0, 255, 0.5)' }
+    ],
+    flows: [
+      { from: 'A', to: 'B', x: 10, y: 50, x2: 190, y2: 50, height: 100, color: 'green', orientation: 'horizontal' }
+    ]
+  };
+
+  it('returns a standalone svg document sized to the layout', () => {
+    const svg = toSVG(layout);
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100"')).toBe(true);
+    expect(svg).toContain('viewBox="0 0 200 100"');
+    expect(svg.endsWith('</svg>')).toBe(true);
+  });
+
+  it('draws flows as bezier paths and nodes as boxes', () => {
+    const svg = toSVG(layout);
+    expect(svg).toContain('<path d="M10 0C100 0 100 0 190 0L190 100C100 100 100 100 10 100Z" fill="green"/>');
+    expect(svg).toContain('<path d="M0 0L10 0L10 100L0 100Z" fill="red"/>');
+  });
+
+  it('splits rgba colors into color and opacity', () => {
+    expect(toSVG(layout)).toContain('fill="rgb(0, 0, 255)" fill-opacity="0.5"');
+  });
+
+  it('escapes label text', () => {
+    const svg = toSVG(layout);
+    expect(svg).toContain('>Alpha</text>');
+    expect(svg).toContain('>B &amp; C</text>');
+  });
+
+  it('writes gradient flows as linear gradients', () => {
+    const svg = toSVG({
+      ...layout,
+      flows: [{ ...layout.flows[0], colorMode: 'gradient', colorFrom: 'red', colorTo: 'blue' }]
+    }, { idPrefix: 'flows' });
+    expect(svg).toContain('<defs><linearGradient id="flows-gradient-0" gradientUnits="userSpaceOnUse" x1="10" y1="0" x2="190" y2="0">');
+    expect(svg).toContain('fill="url(#flows-gradient-0)"');
+  });
+
+  it('gives every export its own gradient and clip IDs', () => {
+    const source = {
+      ...layout,
+      flows: [{ ...layout.flows[0], colorMode: 'gradient', colorFrom: 'red', colorTo: 'blue',
+        pattern: { type: 'hatch', color: 'gray', spacing: 6, lineWidth: 1 } }]
+    };
+    const ids = svg => [...svg.matchAll(/ id="([^"]+)"/g)].map(match => match[1]);
+    const first = ids(toSVG(source));
+    const second = ids(toSVG(source));
+    expect(first).toHaveLength(2);
+    expect(first[0]).toMatch(/^sankey-\d+-gradient-0$/);
+    expect(first[1]).toMatch(/^sankey-\d+-clip-1$/);
+    expect(second.some(id => first.includes(id))).toBe(false);
+  });
+
+  it('adds a background when requested', () => {
+    expect(toSVG(layout, { background: 'white' })).toContain('<rect width="100%" height="100%" fill="white"/>');
+  });
+});
+
+// ── Chart-level helpers ──
+
+function fakeElement(doc, tagName) {
+  const el = {
+    tagName: tagName.toUpperCase(),
+    ownerDocument: doc,
+    parentNode: null,
+    children: [],
+    attributes: {},
+    style: {},
+    _text: '',
+    get textContent() {
+      return this._text + this.children.map((child) => child.textContent).join('');
+    },
+    set textContent(text) {
+      this.children = [];
+      this._text = text;
+    },
+    get nextSibling() {
+      const siblings = this.parentNode ? this.parentNode.children : [];
+      return siblings[siblings.indexOf(this) + 1] || null;
+    },
+    setAttribute(name, value) { this.attributes[name] = String(value); },
+    getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; },
+    hasAttribute(name) { return name in this.attributes; },
+    appendChild(child) { return this.insertBefore(child, null); },
+    insertBefore(child, ref) {
+      child.parentNode = this;
+      const at = ref ? this.children.indexOf(ref) : -1;
+      this.children.splice(at < 0 ? this.children.length : at, 0, child);
+      return child;
+    },
+    remove() {
+      if (!this.parentNode) return;
+      const siblings = this.parentNode.children;
+      siblings.splice(siblings.indexOf(this), 1);
+      this.parentNode = null;
+    },
+    querySelectorAll(selector) {
+      const [, name, value] = selector.match(/^\[([\w-]+)(?:="(.*)")?\]$/) || [];
+      const found = [];
+      const visit = (node) => {
+        for (const child of node.children) {
+          if (name in child.attributes && (value === undefined || child.attributes[name] === value)) found.push(child);
+          visit(child);
+        }
+      };
+      visit(this);
+      return found;
+    },
+    querySelector(selector) { return this.querySelectorAll(selector)[0] || null; }
+  };
+  return el;
+}
+
+/**
+ * Minimal canvas for running real charts under Node: a context that accepts
+ * every call, `measureText` at 6px per character and recorded event listeners.
+ * With `dom` the canvas gets a parent element and document for the accessible
+ * description.
+ */
+function fakeCanvas({ width = 600, height = 400, dom = false } = {}) {
+  const ctx = new Proxy({}, {
+    get(target, prop) {
+      if (prop in target) return target[prop];
+      if (prop === 'canvas') return canvas;
+      if (prop === 'measureText') return (text) => ({ width: String(text).length * 6 });
+      if (prop === 'createLinearGradient' || prop === 'createPattern') return () => ({ addColorStop() {} });
+      if (prop === 'getLineDash') return () => [];
+      return () => {};
+    },
+    set(target, prop, value) {
+      target[prop] = value;
+      return true;
+    }
+  });
+  const doc = dom ? { createElement: (tag) => fakeElement(doc, tag) } : null;
+  const canvas = dom ? fakeElement(doc, 'canvas') : { style: {} };
+  Object.assign(canvas, {
+    width,
+    height,
+    listeners: {},
+    getContext: () => ctx,
+    addEventListener(type, fn) { (this.listeners[type] ||= []).push(fn); },
+    removeEventListener(type, fn) {
+      this.listeners[type] = (this.listeners[type] || []).filter((f) => f !== fn);
+    },
+    getBoundingClientRect: () => ({ left: 0, top: 0, width, height })
+  });
+  if (dom) fakeElement(doc, 'div').appendChild(canvas);
+  return canvas;
+}
+
+function makeChart(datasets, { options = {}, ...canvasOptions } = {}) {
+  const canvas = fakeCanvas(canvasOptions);
+  return new Chart(canvas, {
+    type: 'sankey',
+    data: { datasets },
+    options: { animation: false, responsive: false, ...options }
+  });
+}
+
+function dispatch(chart, type, props = {}) {
+  const event = { type, defaultPrevented: false, preventDefault() { this.defaultPrevented = true; }, ...props };
+  for (const fn of chart.canvas.listeners[type] || []) fn(event);
+  return event;
+}
+
+// ── SankeyController.parse ──
+
+describe('SankeyController.parse', () => {
+  it('maps every row through the parsing keys when the first row is null', () => {
+    const chart = makeChart([{
+      parsing: { from: 'src', to: 'dst', flow: 'v' },
+      data: [null, { src: 'a', dst: 'b', v: 1 }, { src: 'b', dst: 'c', v: 2 }]
+    }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    const parsed = controller._parsedData();
+    expect(parsed[0]).toBe(null);
+    expect(parsed[1]).toMatchObject({ from: 'a', to: 'b', flow: 1 });
+    expect([...controller._nodes.keys()].sort()).toEqual(['a', 'b', 'c']);
+    chart.destroy();
+  });
+
+  it('parses primitive and array rows to null', () => {
+    const parse = SankeyController.prototype.parseObjectData;
+    expect(parse.call({ _parsing: {} }, null, [1, 'x', [1, 2]], 0, 3)).toEqual([null, null, null]);
+  });
+});
+
+// ── Keyboard navigation and accessible description ──
+
+describe('keyboard navigation', () => {
+  const flows = [
+    { from: 'a', to: 'b', flow: 5 },
+    { from: 'a', to: 'c', flow: 3 },
+    { from: 'b', to: 'd', flow: 5 }
+  ];
+  const press = (chart, key, shiftKey = false) => dispatch(chart, 'keydown', { key, shiftKey });
+
+  it('steps through nodes by column, then flows, with PageDown and PageUp', () => {
+    const chart = makeChart([{ data: flows }]);
+    const order = [];
+    for (let i = 0; i < 8; i++) {
+      expect(press(chart, 'PageDown').defaultPrevented).toBe(true);
+      const focus = chart._sankeyFocus;
+      order.push(focus.kind === 'node' ? focus.id : focus.index);
+    }
+    expect(order).toEqual(['a', 'b', 'c', 'd', 0, 1, 2, 'a']);
+    press(chart, 'PageUp');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'flow', index: 2 });
+    press(chart, 'Home');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'node', id: 'a' });
+    press(chart, 'End');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'flow', index: 2 });
+    chart.destroy();
+  });
+
+  it('lets Tab and Shift+Tab leave the chart from a focused item', () => {
+    const chart = makeChart([{ data: flows }]);
+    press(chart, 'ArrowDown');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'node', id: 'a' });
+    expect(press(chart, 'Tab').defaultPrevented).toBe(false);
+    expect(press(chart, 'Tab', true).defaultPrevented).toBe(false);
+    dispatch(chart, 'blur');
+    expect(chart._sankeyFocus).toBe(null);
+    chart.destroy();
+  });
+
+  it('moves between nodes and flows with the arrow keys', () => {
+    const chart = makeChart([{ data: flows }]);
+    press(chart, 'Home');
+    press(chart, 'ArrowRight');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'flow', index: 0, via: 'from' });
+    press(chart, 'ArrowDown');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'flow', index: 1 });
+    press(chart, 'ArrowDown');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'flow', index: 0 });
+    press(chart, 'ArrowRight');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'node', id: 'b' });
+    press(chart, 'ArrowDown');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'node', id: 'c' });
+    press(chart, 'ArrowLeft');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'flow', index: 1, via: 'to' });
+    press(chart, 'ArrowLeft');
+    expect(chart._sankeyFocus).toMatchObject({ kind: 'node', id: 'a' });
+    press(chart, 'Escape');
+    expect(chart._sankeyFocus).toBe(null);
+    chart.destroy();
+  });
+
+  it('activates the focused node or flow with Enter and Space', () => {
+    const nodeClicks = [];
+    const flowClicks = [];
+    const chart = makeChart([{
+      data: flows,
+      onNodeClick: (id, node) => nodeClicks.push([id, node.outgoing]),
+      onFlowClick: (flow) => flowClicks.push(flow)
+    }]);
+    expect(press(chart, 'Enter').defaultPrevented).toBe(false);
+
+    chart._sankeyFocus = { datasetIndex: 0, kind: 'flow', index: 2 };
+    expect(press(chart, 'Enter').defaultPrevented).toBe(true);
+    expect(flowClicks).toHaveLength(1);
+    expect(flowClicks[0]).toMatchObject({ from: 'b', to: 'd', flow: 5 });
+
+    chart._sankeyFocus = { datasetIndex: 0, kind: 'node', id: 'a' };
+    press(chart, ' ');
+    expect(nodeClicks).toEqual([['a', 8]]);
+    chart.destroy();
+  });
+});
+
+describe('accessible description', () => {
+  const rows = (table) => table.children
+    .filter(child => child.tagName === 'TR')
+    .map(row => row.children.map(cell => cell.textContent));
+
+  it('lists nodes and flows in a hidden table next to the canvas', () => {
+    const chart = makeChart([{ label: 'Energy', data: [
+      { from: 'a', to: 'b', flow: 5 },
+      { from: 'b', to: 'c', flow: 2 }
+    ] }], { dom: true });
+    const container = chart._sankeyA11y;
+    expect(container.parentNode).toBe(chart.canvas.parentNode);
+    expect(chart.canvas.getAttribute('aria-describedby')).toBe(container.id);
+
+    const table = container.querySelector('[data-sankey-dataset="0"]');
+    expect(table.children[0].textContent).toBe('Energy: Sankey diagram with 3 nodes and 2 flows');
+    expect(rows(table)).toEqual([
+      ['Node', 'Incoming', 'Outgoing'],
+      ['a', '0', '5'],
+      ['b', '5', '2'],
+      ['c', '2', '0'],
+      ['From', 'To', 'Flow'],
+      ['a', 'b', '5'],
+      ['b', 'c', '2']
+    ]);
+    chart.destroy();
+  });
+
+  it('refreshes the table when the data becomes empty', () => {
+    const chart = makeChart([{ data: [{ from: 'a', to: 'b', flow: 5 }] }], { dom: true });
+    chart.data.datasets[0].data = [];
+    chart.update();
+    const table = chart._sankeyA11y.querySelector('[data-sankey-dataset="0"]');
+    expect(table.children[0].textContent).toBe('Sankey diagram with 0 nodes and 0 flows');
+    expect(rows(table)).toEqual([['Node', 'Incoming', 'Outgoing'], ['From', 'To', 'Flow']]);
+    chart.destroy();
+  });
+
+  it('announces the focused item in the live region', () => {
+    const chart = makeChart([{ data: [{ from: 'a', to: 'b', flow: 5 }] }], { dom: true });
+    dispatch(chart, 'keydown', { key: 'Home' });
+    expect(chart._sankeyA11y.querySelector('[data-sankey-live]').textContent).toBe('a: incoming 0, outgoing 5');
+    chart.destroy();
+  });
+});
+
+// ── Node positions and dragging ──
+
+describe('node positions and dragging', () => {
+  // c and d share the last column with room to spare: c at y 115, d at y 205, both 80 high
+  const flows = [
+    { from: 'a', to: 'b', flow: 10 },
+    { from: 'b', to: 'c', flow: 2 },
+    { from: 'b', to: 'd', flow: 2 }
+  ];
+  const positionsOf = (chart) => Object.fromEntries(
+    [...chart.getDatasetMeta(0).controller._nodePositions].map(([id, pos]) => [id, { x: pos.x, y: pos.y }])
+  );
+  const drag = (chart, from, to) => {
+    dispatch(chart, 'mousedown', { clientX: from.x, clientY: from.y });
+    dispatch(chart, 'mousemove', { clientX: to.x, clientY: to.y });
+    dispatch(chart, 'mouseup');
+  };
+
+  it('places a node at its relative position and clamps it to the column', () => {
+    let chart = makeChart([{ data: flows, nodes: { d: { position: 0 }, c: { position: 1 } } }]);
+    expect(positionsOf(chart)).toMatchObject({ c: { y: 320 }, d: { y: 0 } });
+    chart.destroy();
+
+    chart = makeChart([{ data: flows, nodes: { d: { position: 0.5 } } }]);
+    // d is centered; c moves up out of its way
+    expect(positionsOf(chart)).toMatchObject({ c: { y: 70 }, d: { y: 160 } });
+    chart.destroy();
+  });
+
+  it('keeps a dragged node in its column and pushes its neighbors aside', () => {
+    const ends = [];
+    const chart = makeChart([{
+      data: flows,
+      dragNodes: true,
+      onNodeDragEnd: (id, result) => ends.push([id, result])
+    }]);
+    drag(chart, { x: 590, y: 245 }, { x: 290, y: 150 });
+
+    expect(ends).toEqual([['d', { column: 2, position: 0.375, x: 580, y: 110 }]]);
+    expect(positionsOf(chart)).toMatchObject({ c: { x: 580, y: 200 }, d: { x: 580, y: 110 } });
+    expect(chart.getDatasetMeta(0).controller._nodeOverrides.get('d')).toEqual({ position: 0.375 });
+    chart.destroy();
+  });
+
+  it('moves a node to the nearest column with dragAcrossColumns', () => {
+    const ends = [];
+    const chart = makeChart([{
+      data: flows,
+      dragNodes: true,
+      dragAcrossColumns: true,
+      onNodeDragEnd: (id, result) => ends.push([id, result.column])
+    }]);
+    drag(chart, { x: 590, y: 245 }, { x: 320, y: 245 });
+    expect(ends).toEqual([['d', 1]]);
+    expect(chart.getDatasetMeta(0).controller._levels.get('d')).toBe(1);
+    chart.destroy();
+  });
+});
+
+// ── Dataset layouts ──
+
+describe('datasetLayout', () => {
+  const pair = [{ data: [{ from: 'a', to: 'b', flow: 10 }] }, { data: [{ from: 'a', to: 'b', flow: 10 }] }];
+  const boxes = (chart) => [0, 1].map(i => chart.getDatasetMeta(i).controller._layoutBox());
+  const nodeB = (chart) => [0, 1].map(i => chart.getDatasetMeta(i).controller._nodePositions.get('b'));
+
+  it('stacks datasets with a gap', () => {
+    const chart = makeChart(pair, { options: { datasetLayout: 'stacked' } });
+    expect(boxes(chart)).toEqual([
+      { left: 0, right: 600, top: 0, bottom: 190 },
+      { left: 0, right: 600, top: 210, bottom: 400 }
+    ]);
+    expect(nodeB(chart).map(pos => pos.y)).toEqual([0, 210]);
+    chart.destroy();
+  });
+
+  it('places datasets side by side', () => {
+    const chart = makeChart(pair, { options: { datasetLayout: 'side-by-side', datasetGap: 10 } });
+    expect(boxes(chart)).toEqual([
+      { left: 0, right: 295, top: 0, bottom: 400 },
+      { left: 305, right: 600, top: 0, bottom: 400 }
+    ]);
+    expect(nodeB(chart).map(pos => pos.x)).toEqual([275, 580]);
+    chart.destroy();
+  });
+
+  it('gives every dataset the whole area by default, overlaid or merged', () => {
+    for (const datasetLayout of [undefined, 'overlay', 'merged']) {
+      const chart = makeChart(pair, { options: { datasetLayout } });
+      expect(boxes(chart)).toEqual([
+        { left: 0, right: 600, top: 0, bottom: 400 },
+        { left: 0, right: 600, top: 0, bottom: 400 }
+      ]);
+      chart.destroy();
+    }
+  });
+
+  it('lays out merged datasets from the flows each of them draws', () => {
+    const chart = makeChart([
+      { data: [{ from: 'a', to: 'b', flow: 10 }, { from: 'a', to: 'c', flow: 1 }, { from: 'a', to: 'd', flow: 1 }], minFlow: 2 },
+      { data: [{ from: 'a', to: 'b', flow: 5 }] }
+    ], { options: { datasetLayout: 'merged' } });
+    const [first, second] = [0, 1].map(i => chart.getDatasetMeta(i).controller);
+    // The second dataset sees the first one's small flows grouped into an "Other" node
+    expect([...second._nodePositions.keys()]).toEqual([...first._nodePositions.keys()]);
+    expect(second._nodePositions.has('c')).toBe(false);
+    for (const [id, pos] of first._nodePositions) {
+      expect(second._nodePositions.get(id)).toMatchObject({ x: pos.x, y: pos.y, height: pos.height });
+    }
+    expect(first._drawsNodes()).toBe(true);
+    expect(second._drawsNodes()).toBe(false);
+    chart.destroy();
+  });
+
+  it('builds a peer graph without touching the peer state', () => {
+    const chart = makeChart([
+      { data: [{ from: 'a', to: 'b', flow: 10 }, { from: 'a', to: 'c', flow: 1 }], nodeFilter: id => id !== 'c' },
+      { data: [{ from: 'a', to: 'b', flow: 5 }] }
+    ], { options: { datasetLayout: 'merged' } });
+    const first = chart.getDatasetMeta(0).controller;
+    const excluded = first._excludedNodes;
+    const graph = first._buildGraph();
+    expect([...graph.excluded]).toEqual(['c']);
+    expect(first._excludedNodes).toBe(excluded);
+    chart.destroy();
+  });
+});
+
+// ── Option resolution ──
+
+describe('option resolution', () => {
+  const flows = [
+    { from: 'a', to: 'b', flow: 5 },
+    { from: 'a', to: 'c', flow: 3 }
+  ];
+
+  it('treats callback options and on... handlers as plain functions', () => {
+    const { _scriptable, labels, flowLabels } = SankeyController.descriptors;
+    for (const name of ['nodeColor', 'nodeBorderColor', 'nodeAlign', 'flowSort', 'formatter', 'filter', 'nodeFilter', 'linkShape', 'onFlowClick']) {
+      expect(_scriptable(name)).toBe(false);
+    }
+    expect(_scriptable('color')).toBe(true);
+    expect(_scriptable('nodeBorderWidth')).toBe(true);
+    expect(labels._scriptable('formatter')).toBe(false);
+    expect(labels._scriptable('color')).toBe(true);
+    expect(flowLabels._scriptable('formatter')).toBe(false);
+  });
+
+  it('builds node and flow contexts on top of the dataset context', () => {
+    const chart = makeChart([{ label: 'Energy', data: flows }]);
+    const controller = chart.getDatasetMeta(0).controller;
+
+    const nodeContext = controller.getNodeContext('b', true);
+    expect(nodeContext).toMatchObject({ type: 'node', node: 'b', dataIndex: 1, index: 1, active: true, datasetIndex: 0 });
+    expect(nodeContext.raw).toMatchObject({ id: 'b', incoming: 5 });
+    expect(nodeContext.dataset.label).toBe('Energy');
+    expect(controller.getNodeContext('missing').dataIndex).toBe(-1);
+
+    const flowContext = controller.getFlowContext(1);
+    expect(flowContext).toMatchObject({ type: 'flow', dataIndex: 1, active: false, datasetIndex: 0 });
+    expect(flowContext.raw).toBe(chart.data.datasets[0].data[1]);
+    expect(flowContext.parsed).toBe(controller._parsedData()[1]);
+    expect(flowContext.element).toBe(chart.getDatasetMeta(0).data[1]);
+    chart.destroy();
+  });
+
+  it('resolves scriptable node and flow options per item', () => {
+    const chart = makeChart([{
+      data: flows,
+      nodeBorderWidth: (ctx) => (ctx.node === 'a' ? 3 : 1),
+      color: (ctx) => (ctx.raw.flow > 4 ? 'red' : 'blue'),
+      labels: { color: (ctx) => (ctx.active ? 'black' : 'gray') }
+    }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    expect(controller._resolveNodeOptions('a').nodeBorderWidth).toBe(3);
+    expect(controller._resolveNodeOptions('b').nodeBorderWidth).toBe(1);
+    expect(controller._resolveNodeOptions('b', true).labels.color).toBe('black');
+    expect(controller._resolveNodeOptions('b', false).labels.color).toBe('gray');
+    expect(controller._resolveFlowOptions(0).color).toBe('red');
+    expect(controller._resolveFlowOptions(1).color).toBe('blue');
+    expect(chart.getDatasetMeta(0).data.map(el => el.colorFrom)).toEqual(['red', 'blue']);
+    chart.destroy();
+  });
+
+  it('takes defaults from options.datasets.sankey, overridden per dataset', () => {
+    const chart = makeChart([{ data: flows }, { data: flows, nodeWidth: 12 }], {
+      options: { datasetLayout: 'overlay', datasets: { sankey: { nodeWidth: 30, labels: { padding: 9 } } } }
+    });
+    const [first, second] = [0, 1].map(i => chart.getDatasetMeta(i).controller);
+    expect(first.options.nodeWidth).toBe(30);
+    expect(first.options.labels.padding).toBe(9);
+    expect(first._nodePositions.get('a').width).toBe(30);
+    expect(second._nodePositions.get('a').width).toBe(12);
+    chart.destroy();
+  });
+
+  it('calls formatters with their own arguments and keeps a linkShape function', () => {
+    const calls = [];
+    const linkShape = () => {};
+    const chart = makeChart([{
+      data: flows,
+      linkShape,
+      labels: { formatter: (nodeId, node) => { calls.push([nodeId, node.id]); return nodeId.toUpperCase(); } }
+    }]);
+    expect(calls.length).toBeGreaterThan(0);
+    expect(calls.every(([nodeId, id]) => typeof nodeId === 'string' && nodeId === id)).toBe(true);
+    const controller = chart.getDatasetMeta(0).controller;
+    expect(controller.options.linkShape).toBe(linkShape);
+    expect(chart.getDatasetMeta(0).data[0].linkShape).toBe(linkShape);
+    chart.destroy();
+  });
+});
+
+// ── Node tooltip ──
+
+describe('node tooltip', () => {
+  const flows = [
+    { from: 'a', to: 'b', flow: 5 },
+    { from: 'a', to: 'c', flow: 3 },
+    { from: 'a', to: 'd', flow: 1 },
+    { from: 'b', to: 'e', flow: 5 }
+  ];
+  const centerOf = (chart, id) => {
+    const pos = chart.getDatasetMeta(0).controller._nodePositions.get(id);
+    return { x: pos.x + pos.width / 2, y: pos.y + pos.height / 2 };
+  };
+  // Chart.js binds no events under Node, so chart events are handed over directly
+  const point = (chart, { x, y }, type = 'mousemove') => chart._eventHandler({ type, x, y, native: { type } });
+
+  it('lists the largest flows up to topFlows', () => {
+    const chart = makeChart([{ data: flows, nodeTooltip: { topFlows: 2 } }]);
+    const context = chart.getDatasetMeta(0).controller.getNodeTooltipContext('a');
+    expect(context).toMatchObject({ nodeId: 'a', incoming: 0, outgoing: 9, net: -9 });
+    expect(context.inflows).toEqual([]);
+    expect(context.outflows.map(flow => [flow.node, flow.value])).toEqual([['b', 5], ['c', 3]]);
+    expect(context.outflows[0].share).toBeCloseTo(5 / 9);
+    chart.destroy();
+  });
+
+  it('builds its lines from the nodeTooltip callbacks', () => {
+    const chart = makeChart([{
+      data: flows,
+      nodeTooltip: {
+        topFlows: 1,
+        callbacks: {
+          title: (ctx) => ctx.label.toUpperCase(),
+          label: (ctx) => `Out: ${ctx.outgoing}`,
+          flowsTitle: (direction) => (direction === 'out' ? 'To' : 'From'),
+          flowLabel: (flow) => `${flow.label} ${flow.value}`,
+          footer: () => ''
+        }
+      }
+    }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    expect(controller._nodeTooltipLines(controller.getNodeTooltipContext('a'))).toEqual({
+      title: ['A'],
+      body: ['Out: 9', 'To', 'b 5'],
+      footer: []
+    });
+    chart.destroy();
+  });
+
+  it('shows through the Chart.js tooltip while a node is hovered', () => {
+    const external = [];
+    const chart = makeChart([{ data: flows, nodes: { b: { color: 'red' } } }], {
+      options: { plugins: { tooltip: { external: ({ tooltip }) => external.push([tooltip.opacity, tooltip.title]) } } }
+    });
+    point(chart, centerOf(chart, 'b'));
+    const tooltip = chart.tooltip;
+    expect(tooltip.opacity).toBe(1);
+    expect(tooltip.title).toEqual(['b']);
+    expect(tooltip.body[0].lines).toEqual(['Incoming: 5', 'Outgoing: 5', 'Net: 0', 'Top inflows', '  a: 5', 'Top outflows', '  e: 5']);
+    expect(tooltip.labelColors[0].backgroundColor).toBe('red');
+    expect(tooltip.dataPoints[0].element.nodeId).toBe('b');
+    expect({ x: tooltip.caretX, y: tooltip.caretY }).toEqual(centerOf(chart, 'b'));
+
+    point(chart, { x: 0, y: 0 }, 'mouseout');
+    expect(tooltip.opacity).toBe(0);
+    expect(external).toEqual([[1, ['b']], [0, ['b']]]);
+    chart.destroy();
+  });
+
+  it('passes nodes to the tooltip callbacks', () => {
+    const chart = makeChart([{ data: flows }], {
+      options: { plugins: { tooltip: { callbacks: { label: (item) => `${item.element.nodeId ?? 'flow'}: ${item.formattedValue}` } } } }
+    });
+    point(chart, centerOf(chart, 'b'));
+    expect(chart.tooltip.body[0].lines).toEqual(['b: 5']);
+    point(chart, chart.getDatasetMeta(0).data[1].getCenterPoint());
+    expect(chart.tooltip.body[0].lines).toEqual(['flow: 3']);
+    chart.destroy();
+  });
+
+  it('uses the tooltip positioner', () => {
+    Tooltip.positioners.sankeyCorner = () => ({ x: 1, y: 2 });
+    const chart = makeChart([{ data: flows }], { options: { plugins: { tooltip: { position: 'sankeyCorner' } } } });
+    point(chart, centerOf(chart, 'a'));
+    expect(chart.tooltip.title).toEqual(['a']);
+    expect([chart.tooltip.caretX, chart.tooltip.caretY]).toEqual([1, 2]);
+    delete Tooltip.positioners.sankeyCorner;
+    chart.destroy();
+  });
+
+  it('stays hidden when the tooltip plugin or nodeTooltip is disabled', () => {
+    for (const [dataset, options] of [
+      [{ nodeTooltip: { enabled: false } }, {}],
+      [{}, { plugins: { tooltip: { enabled: false } } }]
+    ]) {
+      const chart = makeChart([{ data: flows, ...dataset }], { options });
+      point(chart, centerOf(chart, 'b'));
+      expect(chart.tooltip.opacity).toBe(0);
+      chart.destroy();
+    }
+  });
+
+  it('finds the node instead of flows in the sankey interaction mode', () => {
+    const chart = makeChart([{ data: flows }]);
+    const at = (point) => chart.getElementsAtEventForMode({ type: 'mousemove', native: {}, ...point }, 'sankey', { intersect: true }, false);
+    const flow = chart.getDatasetMeta(0).data[0].getCenterPoint();
+    expect(at(flow).map(item => item.index)).toEqual([0]);
+    const [node] = at(centerOf(chart, 'b'));
+    expect(node).toMatchObject({ datasetIndex: 0, index: flows.length + 1 });
+    expect(node.element.nodeId).toBe('b');
+    expect(chart.getDatasetMeta(0).controller.getLabelAndValue(node.index)).toEqual({ label: 'b', value: '5' });
+    expect(chart.options.interaction.mode).toBe('sankey');
+    chart.destroy();
+
+    const quiet = makeChart([{ data: flows, nodeTooltip: { enabled: false } }]);
+    expect(quiet.getElementsAtEventForMode({ type: 'mousemove', native: {}, ...centerOf(quiet, 'b') }, 'sankey', {}, false))
+      .toEqual([]);
+    quiet.destroy();
+  });
+
+  it('registers the interaction mode with the controller', () => {
+    expect(typeof Interaction.modes.sankey).toBe('function');
+    Chart.unregister(SankeyController);
+    expect(Interaction.modes.sankey).toBeUndefined();
+    Chart.register(SankeyController);
+    expect(typeof Interaction.modes.sankey).toBe('function');
+  });
+});
+
+// ── Legend ──
+
+describe('legend', () => {
+  const flows = [
+    { from: 'Coal', to: 'Power', flow: 5 },
+    { from: 'Gas', to: 'Power', flow: 3 },
+    { from: 'Solar', to: 'Power', flow: 2 }
+  ];
+  const nodes = {
+    Coal: { category: 'Fossil', color: 'black' },
+    Gas: { category: 'Fossil', color: 'orange' },
+    Solar: { category: 'Renewable', color: 'yellow', label: 'Sun' }
+  };
+
+  it('lists one item per node with its label and color', () => {
+    const chart = makeChart([{ data: flows, nodes }]);
+    const items = chart.getDatasetMeta(0).controller.getLegendItems();
+    expect(items.map(item => [item.text, item.nodeId, item.fillStyle, item.hidden])).toEqual([
+      ['Coal', 'Coal', 'black', false],
+      ['Power', 'Power', expect.any(String), false],
+      ['Gas', 'Gas', 'orange', false],
+      ['Sun', 'Solar', 'yellow', false]
+    ]);
+    chart.destroy();
+  });
+
+  it('lists one item per category in the color of its first node', () => {
+    const chart = makeChart([{ data: flows, nodes, legendItems: 'categories' }]);
+    const items = chart.getDatasetMeta(0).controller.getLegendItems();
+    expect(items.map(item => [item.text, item.category, item.fillStyle, item.nodeId])).toEqual([
+      ['Fossil', 'Fossil', 'black', undefined],
+      ['Renewable', 'Renewable', 'yellow', undefined]
+    ]);
+    chart.destroy();
+  });
+
+  it('hides and shows a node through its legend item', () => {
+    const chart = makeChart([{ data: flows, nodes }], { options: { plugins: { legend: { display: true } } } });
+    const controller = chart.getDatasetMeta(0).controller;
+    const gas = () => chart.legend.legendItems.find(item => item.nodeId === 'Gas');
+
+    chart.options.plugins.legend.onClick(null, gas(), chart.legend);
+    expect([...controller._hiddenNodes]).toEqual(['Gas']);
+    expect(controller._nodePositions.has('Gas')).toBe(false);
+    expect(controller.getNode('Power').incoming).toBe(7);
+    expect(gas().hidden).toBe(true);
+
+    chart.options.plugins.legend.onClick(null, gas(), chart.legend);
+    expect(controller._hiddenNodes.size).toBe(0);
+    expect(controller._nodePositions.has('Gas')).toBe(true);
+    expect(gas().hidden).toBe(false);
+    chart.destroy();
+  });
+
+  it('hides every node of a category', () => {
+    const chart = makeChart([{ data: flows, nodes, legendItems: 'categories' }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    const fossil = controller.getLegendItems()[0];
+    controller._toggleLegendItem(fossil);
+    expect([...controller._hiddenNodes].sort()).toEqual(['Coal', 'Gas']);
+    expect([...controller._nodePositions.keys()].sort()).toEqual(['Power', 'Solar']);
+    expect(controller.getLegendItems()[0].hidden).toBe(true);
+    controller._toggleLegendItem(controller.getLegendItems()[0]);
+    expect(controller._hiddenNodes.size).toBe(0);
+    chart.destroy();
+  });
+});
+
+// ── Imbalance stubs ──
+
+describe('imbalance stubs', () => {
+  const lossy = [{ from: 'a', to: 'b', flow: 10 }, { from: 'b', to: 'c', flow: 6 }];
+  const stubsOf = (chart) => chart.getDatasetMeta(0).controller._imbalanceElements;
+
+  it('draws a loss from the free part of the outgoing face', () => {
+    const chart = makeChart([{ data: lossy, imbalance: { display: true } }]);
+    const stubs = stubsOf(chart);
+    expect([...stubs.keys()]).toEqual(['b:loss']);
+    // b spans y 0-400; its 6 outgoing take the first 240px, the loss of 4 the other 160
+    expect(stubs.get('b:loss')).toMatchObject({ x: 310, y: 320, x2: 350, y2: 340, height: 160, height2: 160 });
+    expect(stubs.get('b:loss').stub).toEqual({ type: 'loss', node: 'b', label: 'Loss', value: 4, share: 0.4 });
+    chart.destroy();
+  });
+
+  it('draws a gain into the free part of the incoming face', () => {
+    const chart = makeChart([{
+      data: [{ from: 'a', to: 'b', flow: 4 }, { from: 'b', to: 'c', flow: 10 }],
+      imbalance: { display: true, length: 20, gain: { label: 'Import', color: 'gray' } }
+    }]);
+    const stub = stubsOf(chart).get('b:gain');
+    expect(stub).toMatchObject({ x: 270, y: 290, x2: 290, y2: 280, height: 240, from: null, to: 'b' });
+    expect(stub.stub).toMatchObject({ type: 'gain', label: 'Import', value: 6, share: 0.6 });
+    chart.destroy();
+  });
+
+  it('leaves balanced nodes, sources and sinks without stubs', () => {
+    let chart = makeChart([{ data: lossy }]);
+    expect(stubsOf(chart).size).toBe(0);
+    chart.destroy();
+    chart = makeChart([{ data: [{ from: 'a', to: 'b', flow: 5 }, { from: 'b', to: 'c', flow: 5 }], imbalance: { display: true } }]);
+    expect(stubsOf(chart).size).toBe(0);
+    chart.destroy();
+  });
+
+  it('finds stubs under a point', () => {
+    const chart = makeChart([{ data: lossy, imbalance: { display: true } }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    expect(controller._stubAt(330, 330)).toBe('b:loss');
+    expect(controller._stubAt(330, 100)).toBe(null);
+    expect(controller._stubAt(200, 200)).toBe(null);
+    chart.destroy();
+  });
+
+  it('reports a clicked stub to onFlowClick as a flow to nowhere', () => {
+    const clicks = [];
+    const chart = makeChart([{ data: lossy, imbalance: { display: true }, onFlowClick: (flow) => clicks.push(flow) }]);
+    dispatch(chart, 'click', { clientX: 330, clientY: 330 });
+    expect(clicks).toEqual([{ from: 'b', to: null, flow: 4, imbalance: 'loss', label: 'Loss' }]);
+    expect(chart.getDatasetMeta(0).controller._stubDataPoint({ type: 'gain', node: 'x', value: 2, label: 'In' }))
+      .toEqual({ from: null, to: 'x', flow: 2, imbalance: 'gain', label: 'In' });
+    chart.destroy();
+  });
+
+  it('shows the stub value and share in the tooltip', () => {
+    const chart = makeChart([{ data: lossy, imbalance: { display: true } }]);
+    chart._eventHandler({ type: 'mousemove', x: 330, y: 330, native: { type: 'mousemove' } });
+    const tooltip = chart.tooltip;
+    expect(tooltip.title).toEqual(['b → Loss']);
+    expect(tooltip.body[0].lines).toEqual(['4 (40% of inflow)']);
+    expect([tooltip.caretX, tooltip.caretY]).toEqual([330, 330]);
+    chart.destroy();
+  });
+});
+
+// ── Node animation ──
+
+describe('node elements', () => {
+  const flows = [
+    { from: 'a', to: 'b', flow: 5 },
+    { from: 'b', to: 'c', flow: 3 },
+    { from: 'b', to: 'd', flow: 2 }
+  ];
+  // Node elements are updated without a data index; record their targets
+  const recordNodeTargets = (controller) => {
+    const targets = new Map();
+    const updateElement = controller.updateElement;
+    controller.updateElement = function(element, index, properties, mode) {
+      if (index === undefined && element.stub === undefined) {
+        const id = [...this._nodeElements].find(([, el]) => el === element)[0];
+        targets.set(id, { ...properties });
+      }
+      return updateElement.call(this, element, index, properties, mode);
+    };
+    return targets;
+  };
+
+  it('fades nodes in from nothing and out on reset', () => {
+    const chart = makeChart([{ data: flows }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    expect([...controller._nodeElements.values()].every(el => el.alpha === 1)).toBe(true);
+    const targets = recordNodeTargets(controller);
+    chart.reset();
+    expect([...targets.values()].map(target => target.alpha)).toEqual([0, 0, 0, 0]);
+    chart.destroy();
+  });
+
+  it('fades out removed nodes and fades in added ones', () => {
+    const chart = makeChart([{ data: flows }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    const targets = recordNodeTargets(controller);
+
+    chart.data.datasets[0].data = [{ from: 'a', to: 'b', flow: 5 }, { from: 'b', to: 'e', flow: 5 }];
+    chart.update();
+    expect(targets.get('c')).toEqual({ alpha: 0 });
+    expect(targets.get('d')).toEqual({ alpha: 0 });
+    expect(targets.get('e')).toMatchObject({ alpha: 1, x: 580 });
+    // Faded-out nodes are dropped once drawn at alpha 0
+    expect([...controller._nodeElements.keys()].sort()).toEqual(['a', 'b', 'e']);
+    chart.destroy();
+  });
+
+  it('shrinks collapsed children into their owner and grows them back out', () => {
+    const chart = makeChart([{ data: flows, nodes: { b: { collapsible: true } } }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    const c = controller._nodeElements.get('c');
+    const targets = recordNodeTargets(controller);
+
+    controller.collapseNode('b');
+    const owner = controller._nodePositions.get('b');
+    expect(targets.get('c')).toEqual({
+      x: owner.x + (owner.width - c.width) / 2,
+      y: owner.y + (owner.height - c.height) / 2,
+      alpha: 0
+    });
+    expect(controller._nodeElements.has('c')).toBe(false);
+
+    controller.expandNode('b');
+    expect(targets.get('c')).toMatchObject({ alpha: 1 });
+    expect(controller._nodeElements.get('c')).toMatchObject({ alpha: 1, removed: false });
+    chart.destroy();
+  });
+});
+
+// ── SankeyController._attachFlows ──
+
+describe('SankeyController._attachFlows', () => {
+  const attach = SankeyController.prototype._attachFlows;
+  const box = (y, height = 100) => ({ x: 0, y, width: 20, height });
+  const positions = new Map([
+    ['a', box(0, 300)],
+    ['b', box(350, 50)],
+    ['low', box(300)],
+    ['high', box(0)]
+  ]);
+  const data = [
+    { from: 'a', to: 'low', flow: 1 },
+    { from: 'a', to: 'high', flow: 2 },
+    { from: 'b', to: 'high', flow: 3 }
+  ];
+  const bands = [
+    { sourceHeight: 10, targetHeight: 10 },
+    { sourceHeight: 20, targetHeight: 20 },
+    { sourceHeight: 30, targetHeight: 30 }
+  ];
+
+  it('orders flows by the position of the node at the other end', () => {
+    // a sends to high (above) before low, so the bands leave a without crossing
+    expect(attach.call({}, data, bands, positions, 'outgoing', null, false)).toEqual([20, 0, 0]);
+    // high receives from a (above) before b
+    expect(attach.call({}, data, bands, positions, 'incoming', null, false)).toEqual([0, 0, 20]);
+  });
+
+  it('uses a flowSort comparator on both sides of every node', () => {
+    const calls = [];
+    const bySizeDown = (x, y, info) => {
+      calls.push([info.node, info.direction]);
+      return y.flow - x.flow;
+    };
+    expect(attach.call({}, data, bands, positions, 'outgoing', bySizeDown, false)).toEqual([20, 0, 0]);
+    expect(attach.call({}, data, bands, positions, 'incoming', bySizeDown, false)).toEqual([0, 30, 0]);
+    expect(calls).toContainEqual(['a', 'outgoing']);
+    expect(calls).toContainEqual(['high', 'incoming']);
+    expect(calls.some(([node]) => node === 'low' || node === 'b')).toBe(false);
+  });
+
+  it('keeps the data order when the comparator ties', () => {
+    expect(attach.call({}, data, bands, positions, 'outgoing', () => 0, false)).toEqual([0, 10, 0]);
+  });
+
+  it('uncrosses flows in a laid-out chart', () => {
+    const chart = makeChart([{ data: [
+      { from: 'a', to: 'x', flow: 1 },
+      { from: 'a', to: 'y', flow: 1 },
+      { from: 'y', to: 'z', flow: 1 }
+    ] }]);
+    const [toX, toY] = chart.getDatasetMeta(0).data;
+    const { _nodePositions: nodes } = chart.getDatasetMeta(0).controller;
+    expect(nodes.get('x').y < nodes.get('y').y).toBe(toX.y < toY.y);
+    chart.destroy();
+  });
+});
+
+describe('label space', () => {
+  const flows = [
+    { from: 'Coal', to: 'Power', flow: 5 },
+    { from: 'Power', to: 'Homes', flow: 5 }
+  ];
+
+  it('reserves room for the outer labels', () => {
+    const chart = makeChart([{ data: flows, labels: { reserveSpace: true } }]);
+    const boxes = chart._sankeyLabelSpace;
+    expect(boxes).toHaveLength(4);
+    expect(boxes.every(box => chart.boxes.includes(box))).toBe(true);
+    // Labels measure 6 per character in the test canvas, plus 5 padding
+    expect(chart.chartArea.left).toBe(29);
+    expect(chart.chartArea.right).toBe(565);
+    chart.destroy();
+  });
+
+  it('builds the graph once per update', () => {
+    const chart = makeChart([{ data: flows, labels: { reserveSpace: true } }]);
+    const controller = chart.getDatasetMeta(0).controller;
+    let builds = 0;
+    const buildGraph = controller._buildGraph;
+    controller._buildGraph = function() {
+      builds++;
+      return buildGraph.call(this);
+    };
+    chart.update();
+    expect(builds).toBe(1);
+    expect(controller._measuredGraph).toBe(null);
+    chart.destroy();
+  });
+
+  it('removes the boxes when reserveSpace is turned off', () => {
+    const chart = makeChart([{ data: flows, labels: { reserveSpace: true } }]);
+    const boxes = chart._sankeyLabelSpace;
+    chart.data.datasets[0].labels.reserveSpace = false;
+    chart.update();
+    expect(chart._sankeyLabelSpace).toBe(null);
+    expect(boxes.some(box => chart.boxes.includes(box))).toBe(false);
+    chart.update();
+    expect(chart.chartArea.left).toBe(0);
+    chart.destroy();
+  });
+});
+
+describe('flow clicks', () => {
+  const flows = [
+    { from: 'a', to: 'b', flow: 3, id: 1 },
+    { from: 'a', to: 'b', flow: 2, id: 2 },
+    { from: 'a', to: 'c', flow: 5, id: 3 }
+  ];
+
+  function clickFlow(chart, index) {
+    const { x, y } = chart.getDatasetMeta(0).data[index].getCenterPoint();
+    dispatch(chart, 'click', { clientX: x, clientY: y });
+  }
+
+  it('passes the original record of a flow that was not merged', () => {
+    const clicks = [];
+    const chart = makeChart([{ data: flows, onFlowClick: (flow) => clicks.push(flow) }]);
+    expect(chart.getDatasetMeta(0).controller._flowData[1]).toBe(null);
+    clickFlow(chart, 2);
+    expect(clicks).toEqual([flows[2]]);
+    chart.destroy();
+  });
+
+  it('draws duplicate rows on their own without mergeDuplicates', () => {
+    const chart = makeChart([{ data: flows, mergeDuplicates: false }]);
+    expect(chart.getDatasetMeta(0).controller._flowData[1]).toBe(flows[1]);
+    chart.destroy();
+  });
+
+  it('passes merged flows with their records', () => {
+    const clicks = [];
+    const chart = makeChart([{ data: flows, onFlowClick: (flow) => clicks.push(flow) }]);
+    clickFlow(chart, 0);
+    expect(clicks[0]).toMatchObject({ from: 'a', to: 'b', flow: 5 });
+    expect(clicks[0].records.map(dp => dp.id)).toEqual([1, 2]);
+
+    chart._sankeyFocus = { datasetIndex: 0, kind: 'flow', index: 0 };
+    dispatch(chart, 'keydown', { key: 'Enter' });
+    expect(clicks[1]).toBe(clicks[0]);
+    chart.destroy();
+  });
+
+  it('passes flows re-routed to an "Other" node as drawn', () => {
+    const clicks = [];
+    const chart = makeChart([{ data: flows, minFlow: 4, mergeDuplicates: false, onFlowClick: (flow) => clicks.push(flow) }]);
+    clickFlow(chart, 0);
+    expect(clicks[0]).toMatchObject({ from: 'a', to: '__other_1', flow: 3, id: 1 });
+    chart.destroy();
+  });
+});
+
+describe('value formatting', () => {
+  const flows = [
+    { from: 'A', to: 'B', flow: 3 },
+    { from: 'A', to: 'C', flow: 1 },
+    { from: 'D', to: 'C', flow: 4 }
+  ];
+  const controllerOf = chart => chart.getDatasetMeta(0).controller;
+
+  it('formats values with the locale, prefix and suffix', () => {
+    const chart = makeChart([{
+      data: flows,
+      valueFormat: { locale: 'de-DE', prefix: '€', suffix: ' net', minimumFractionDigits: 1 }
+    }]);
+    const controller = controllerOf(chart);
+    expect(controller.formatValue(1234.5)).toBe('€1.234,5 net');
+    expect(controller.formatValue(null)).toBe('');
+    expect(controller.getLabelAndValue(0).value).toBe('€3,0 net');
+    chart.destroy();
+  });
+
+  it('formats percentages in the locale with percentDigits', () => {
+    const chart = makeChart([{ data: flows, valueFormat: { locale: 'de-DE', percentDigits: 1 } }]);
+    expect(controllerOf(chart).formatPercent(0.3456)).toBe('34,6 %');
+    chart.destroy();
+  });
+
+  it('leaves values unformatted without valueFormat', () => {
+    const chart = makeChart([{ data: flows }]);
+    expect(controllerOf(chart).formatValue(1234.5)).toBe('1234.5');
+    chart.destroy();
+  });
+
+  it('adds the share picked by percentOf to flow values', () => {
+    for (const [percentOf, value] of [['source', '3 (75%)'], ['target', '3 (100%)'], ['total', '3 (38%)'], [null, '3']]) {
+      const chart = makeChart([{ data: flows, percentOf }]);
+      expect(controllerOf(chart).getLabelAndValue(0).value).toBe(value);
+      chart.destroy();
+    }
+  });
+
+  it('shows node values and shares in labels with showValue', () => {
+    const chart = makeChart([{ data: flows, labels: { showValue: true }, percentOf: 'source', valueFormat: { prefix: '$' } }]);
+    const controller = controllerOf(chart);
+    const content = id => controller._labelContent(id, controller.getNode(id), controller._resolveNodeOptions(id, false).labels);
+    expect(content('A')).toBe('A: $4 (50%)');
+    expect(content('C')).toBe('C: $5 (63%)');
+    chart.destroy();
+  });
+
+  it('shows only the node label without showValue', () => {
+    const chart = makeChart([{ data: flows, percentOf: 'total' }]);
+    const controller = controllerOf(chart);
+    expect(controller._labelContent('A', controller.getNode('A'), controller._resolveNodeOptions('A', false).labels)).toBe('A');
+    chart.destroy();
+  });
+});